@@ -1,5 +1,28 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+
+// Access tokens are bound to a session; a revoked or expired session
+// invalidates its tokens before they expire
+const findActiveSession = async (decoded, req) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sid);
+
+  if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  // Keep last-used time fresh for the session list; never block the request on it
+  session.touch(req.ip).catch(error => {
+    console.error('Failed to update session activity:', error.message);
+  });
+
+  return session;
+};
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -26,8 +49,18 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      const session = await findActiveSession(decoded, req);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Your session has ended. Please login again.'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
+      req.sessionId = session._id;
 
       if (!req.user) {
         return res.status(401).json({
@@ -57,14 +90,32 @@ export const protect = async (req, res, next) => {
 
 // Authorize specific roles
 export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
-      });
+  return async (req, res, next) => {
+    try {
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: `User role '${req.user.role}' is not authorized to access this route`
+        });
+      }
+
+      // Admin privileges need 2FA when the platform enforces it
+      if (req.user.role === 'admin' && !req.user.twoFactor.enabled) {
+        const settings = await Setting.getSettings();
+
+        if (settings.requireTwoFactorForAdmins) {
+          return res.status(403).json({
+            success: false,
+            twoFactorSetupRequired: true,
+            message: 'Two-factor authentication is required for admin accounts. Please enable it to continue.'
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
     }
-    next();
   };
 };
 
@@ -82,7 +133,12 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
+        const session = await findActiveSession(decoded, req);
+
+        if (session) {
+          req.user = await User.findById(decoded.id).select('-password');
+          req.sessionId = session._id;
+        }
       } catch (error) {
         // Token invalid but continue anyway
         req.user = null;
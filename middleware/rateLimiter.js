@@ -32,3 +32,13 @@ export const uploadLimiter = rateLimit({
     message: 'Upload limit reached. Please try again later.'
   }
 });
+
+// Email sending limiter - verification and similar mails
+export const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 emails per hour
+  message: {
+    success: false,
+    message: 'Too many email requests. Please try again later.'
+  }
+});
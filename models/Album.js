@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+export const ALBUM_TYPES = ['album', 'ep', 'single', 'compilation'];
+
+const albumSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide an album title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  // Display credit, like Track.artist; `artists` links the profiles
+  artist: {
+    type: String,
+    required: [true, 'Please provide an artist name'],
+    trim: true
+  },
+  artists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
+  }],
+  type: {
+    type: String,
+    enum: ALBUM_TYPES,
+    default: 'album'
+  },
+  releaseDate: {
+    type: Date,
+    default: Date.now
+  },
+  coverImage: {
+    type: String,
+    default: 'https://images.unsplash.com/photo-1644855640845-ab57a047320e?w=400'
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot be more than 100 characters'],
+    default: ''
+  },
+  genre: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+albumSchema.index({ title: 'text', artist: 'text' });
+albumSchema.index({ artists: 1, releaseDate: -1 });
+albumSchema.index({ releaseDate: -1 });
+
+// Tracklist in play order
+albumSchema.methods.getTracks = function (query = {}) {
+  return mongoose.model('Track')
+    .find({ albumId: this._id, ...query })
+    .sort({ discNumber: 1, trackNumber: 1, createdAt: 1 });
+};
+
+// Create albums for tracks that only have an album title, grouping them by
+// title and lead artist and numbering them in the order they were added
+albumSchema.statics.createFromTracks = async function (tracks) {
+  const groups = new Map();
+
+  tracks
+    .filter(track => track.album && track.album !== 'Single' && !track.albumId)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(track => {
+      const lead = track.artists.find(credit => credit.role === 'primary')?.artist || track.artist;
+      const key = `${track.album.toLowerCase()}|${lead}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(track);
+    });
+
+  for (const albumTracks of groups.values()) {
+    const [first] = albumTracks;
+    const primary = first.artists.filter(credit => credit.role === 'primary');
+
+    const album = await this.create({
+      title: first.album,
+      artist: first.artist.split(/\s+(?:feat\.?|ft\.?|featuring)\s+/i)[0],
+      artists: primary.map(credit => credit.artist),
+      type: albumTracks.length === 1 ? 'single' : 'album',
+      releaseDate: first.createdAt,
+      coverImage: first.coverImage,
+      genre: first.genre
+    });
+
+    await mongoose.model('Track').bulkWrite(albumTracks.map((track, index) => ({
+      updateOne: {
+        filter: { _id: track._id },
+        update: { albumId: album._id, discNumber: 1, trackNumber: index + 1 }
+      }
+    })));
+  }
+
+  return groups.size;
+};
+
+const Album = mongoose.model('Album', albumSchema);
+
+export default Album;
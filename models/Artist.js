@@ -0,0 +1,224 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Case- and accent-insensitive key: "Luna Echo" and "luna  echo" are one
+// artist. Letters of any script are kept ("अरिजीत सिंह" -> "अरिजीत-सिंह");
+// names without any letters or digits (e.g. "★") get a stable hashed slug.
+export const slugify = (name) => {
+  const text = String(name || '').trim();
+  const slug = text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug || !text) {
+    return slug;
+  }
+
+  return `artist-${crypto.createHash('sha1').update(text.toLowerCase()).digest('hex').slice(0, 10)}`;
+};
+
+// Split a free-text credit into artists: "A, B feat. C" or "A ft. C" for the
+// credit, "Song (feat. C)" for the title. "&" is left alone ("Art & Soul").
+const FEATURING = /\s*[([]?\s*\b(?:feat\.?|ft\.?|featuring)\s+/i;
+
+export const parseArtistCredits = (artist, title = '') => {
+  const [main, featuring] = String(artist || '').split(FEATURING);
+  const titleFeaturing = String(title).match(/[([]\s*(?:feat\.?|ft\.?|featuring)\s+([^)\]]+)[)\]]/i)?.[1];
+
+  const names = (value) => String(value || '')
+    .replace(/[)\]]\s*$/, '')
+    .split(/\s*,\s*/)
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const credits = [
+    ...names(main).map(name => ({ name, role: 'primary' })),
+    ...names(featuring).map(name => ({ name, role: 'featured' })),
+    ...names(titleFeaturing).map(name => ({ name, role: 'featured' }))
+  ];
+
+  // Each artist once, keeping their first (most prominent) role
+  const seen = new Set();
+  return credits.filter(credit => {
+    const slug = slugify(credit.name);
+    if (!slug || seen.has(slug)) return false;
+    seen.add(slug);
+    return true;
+  });
+};
+
+const artistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide an artist name'],
+    trim: true,
+    maxlength: [100, 'Artist name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Bio cannot be more than 2000 characters'],
+    default: ''
+  },
+  images: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number
+  }],
+  genres: [{
+    type: String,
+    trim: true
+  }],
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  // Users with this artist in User.followedArtists
+  followers: {
+    type: Number,
+    default: 0
+  },
+  spotifyId: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+artistSchema.index({ name: 'text' });
+
+// Derive the slug from the name unless one was given
+artistSchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Find artists by name, creating the ones we don't know yet
+artistSchema.statics.findOrCreateByNames = async function (names) {
+  const artists = [];
+
+  for (const name of names) {
+    const slug = slugify(name);
+    let artist;
+
+    try {
+      artist = await this.findOneAndUpdate(
+        { slug },
+        { $setOnInsert: { name: name.trim(), slug } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two concurrent upserts of a new artist: the loser reads the winner's
+      if (error.code !== 11000) throw error;
+      artist = await this.findOne({ slug });
+    }
+
+    artists.push(artist);
+  }
+
+  return artists;
+};
+
+// Turn a free-text credit (and title) into Track.artists entries
+artistSchema.statics.resolveCredits = async function (artist, title) {
+  const credits = parseArtistCredits(artist, title);
+  const artists = await this.findOrCreateByNames(credits.map(credit => credit.name));
+
+  return credits.map((credit, index) => ({ artist: artists[index]._id, role: credit.role }));
+};
+
+// Work out both artist fields of a track from whichever the client sent:
+// explicit `artists` links (the display credit is built from their names
+// unless given) or a free-text `artist` credit (links are resolved from it)
+artistSchema.statics.creditTrack = async function ({ artist, artists, title }) {
+  if (!artists) {
+    return { artist, artists: await this.resolveCredits(artist, title) };
+  }
+
+  const found = await this.find({ _id: { $in: artists.map(credit => credit.artist) } }).select('name');
+  const names = new Map(found.map(doc => [doc._id.toString(), doc.name]));
+
+  const missing = artists.find(credit => !names.has(String(credit.artist)));
+  if (missing) {
+    const error = new Error(`Artist ${missing.artist} not found`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const links = artists.map(credit => ({ artist: credit.artist, role: credit.role || 'primary' }));
+  const credited = (role) => links
+    .filter(credit => credit.role === role)
+    .map(credit => names.get(String(credit.artist)));
+
+  const primary = credited('primary').join(', ');
+  const featured = credited('featured').join(', ');
+
+  return {
+    artist: artist || [primary, featured && `feat. ${featured}`].filter(Boolean).join(' '),
+    artists: links
+  };
+};
+
+// Follow an artist; the counter only moves when the user wasn't following yet
+artistSchema.statics.follow = async function (userId, artistId) {
+  const result = await mongoose.model('User').updateOne(
+    { _id: userId, followedArtists: { $ne: artistId } },
+    { $push: { followedArtists: artistId } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.updateOne({ _id: artistId }, { $inc: { followers: 1 } });
+    return true;
+  }
+  return false;
+};
+
+// Unfollow an artist; the counter only moves when a follow is actually removed
+artistSchema.statics.unfollow = async function (userId, artistId) {
+  const result = await mongoose.model('User').updateOne(
+    { _id: userId, followedArtists: artistId },
+    { $pull: { followedArtists: artistId } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await this.updateOne(
+      { _id: artistId, followers: { $gt: 0 } },
+      { $inc: { followers: -1 } }
+    );
+    return true;
+  }
+  return false;
+};
+
+// Give back the follows of a user whose account is being deleted
+artistSchema.statics.releaseFollows = function (followedArtists) {
+  return this.updateMany(
+    { _id: { $in: followedArtists }, followers: { $gt: 0 } },
+    { $inc: { followers: -1 } }
+  );
+};
+
+const Artist = mongoose.model('Artist', artistSchema);
+
+export default Artist;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Audit trail of authentication events (failed logins, lockouts, unlocks)
+const authEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'login_succeeded',
+      'login_failed',
+      'login_blocked',
+      'two_factor_failed',
+      'account_locked',
+      'account_unlocked'
+    ],
+    required: true
+  },
+  endpoint: String,
+  ip: String,
+  userAgent: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // keep 90 days
+
+// Record an event for a request; auditing must never break authentication
+authEventSchema.statics.record = async function (type, { user, email, req, actor } = {}) {
+  try {
+    await this.create({
+      type,
+      user: user?._id,
+      email: email || user?.email,
+      endpoint: req?.originalUrl,
+      ip: req?.ip,
+      userAgent: req?.headers['user-agent'],
+      actor: actor?._id
+    });
+  } catch (error) {
+    console.error('Failed to record auth event:', error.message);
+  }
+};
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+
+export default AuthEvent;
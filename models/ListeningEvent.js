@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+// Another play of the same track this soon after the last is a reload or a
+// repeated report, not a new listen
+const DUPLICATE_WINDOW_MS = 30 * 1000;
+
+// How long after the track's length a player's report can still belong to a
+// play that was streamed from us
+const REPORT_GRACE_MS = 5 * 60 * 1000;
+
+const listeningEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  playedAt: {
+    type: Date,
+    default: Date.now
+  },
+  secondsListened: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Where the play was started from, e.g. { type: 'playlist', id: '<playlistId>' }
+  context: {
+    type: {
+      type: String,
+      enum: ['playlist', 'album', 'artist', 'search', 'library', 'recommendation', 'other'],
+      default: 'other'
+    },
+    id: {
+      type: String,
+      trim: true
+    }
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device cannot be more than 100 characters']
+  },
+  // 'stream' when started by GET /api/tracks/:id/stream, 'client' when
+  // reported by the player through POST /api/users/play-track/:trackId
+  source: {
+    type: String,
+    enum: ['stream', 'client'],
+    default: 'client'
+  },
+  // When the player reported the play; unset for streams not reported yet
+  reportedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false
+});
+
+// Indexes
+listeningEventSchema.index({ user: 1, playedAt: -1, _id: -1 });
+listeningEventSchema.index({ track: 1 });
+listeningEventSchema.index({ user: 1, track: 1, playedAt: -1 });
+
+// The one place plays are counted: writes the history event and bumps the
+// track's plays and the listener's stats. A player's report of a play we
+// streamed completes that event instead of counting the play twice.
+// Returns { event, counted }.
+listeningEventSchema.statics.recordPlay = async function (userId, track, {
+  source = 'client',
+  secondsListened = 0,
+  context,
+  device
+} = {}) {
+  const User = mongoose.model('User');
+  const now = Date.now();
+
+  if (source === 'client') {
+    const streamed = await this.findOneAndUpdate(
+      {
+        user: userId,
+        track: track._id,
+        source: 'stream',
+        reportedAt: null,
+        playedAt: { $gte: new Date(now - (track.durationInSeconds || 0) * 1000 - REPORT_GRACE_MS) }
+      },
+      {
+        reportedAt: new Date(now),
+        secondsListened,
+        ...(context && { context }),
+        ...(device && { device })
+      },
+      { sort: { playedAt: -1 }, new: true }
+    );
+
+    if (streamed) {
+      if (secondsListened) {
+        await User.updateOne(
+          { _id: userId },
+          { $inc: { 'listeningStats.totalHoursListened': secondsListened / 3600 } }
+        );
+      }
+      return { event: streamed, counted: false };
+    }
+  }
+
+  const duplicate = await this.exists({
+    user: userId,
+    track: track._id,
+    playedAt: { $gte: new Date(now - DUPLICATE_WINDOW_MS) }
+  });
+
+  if (duplicate) {
+    return { event: null, counted: false };
+  }
+
+  const event = await this.create({
+    user: userId,
+    track: track._id,
+    playedAt: new Date(now),
+    secondsListened,
+    context,
+    device,
+    source,
+    reportedAt: source === 'client' ? new Date(now) : null
+  });
+
+  await mongoose.model('Track').updateOne({ _id: track._id }, { $inc: { plays: 1 } });
+  await User.updateOne(
+    { _id: userId },
+    {
+      $inc: {
+        'listeningStats.totalSongsPlayed': 1,
+        'listeningStats.totalHoursListened': secondsListened / 3600
+      }
+    }
+  );
+
+  return { event, counted: true };
+};
+
+const ListeningEvent = mongoose.model('ListeningEvent', listeningEventSchema);
+
+export default ListeningEvent;
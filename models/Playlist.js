@@ -1,4 +1,72 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const DEFAULT_COVER_IMAGE = 'https://images.unsplash.com/photo-1644855640845-ab57a047320e?w=400';
+
+// Changes whenever the track list changes; editors send back the snapshot
+// they last saw so concurrent edits conflict instead of overwriting
+const generateSnapshotId = () => crypto.randomBytes(8).toString('hex');
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Share links carry a random token; only its hash is stored
+const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Format the summed length of the given playlist entries, e.g. "1h 5m"
+const calculateTotalDuration = async (entries) => {
+  const Track = mongoose.model('Track');
+  const trackIds = entries.map(t => t.track);
+  const tracks = await Track.find({ _id: { $in: trackIds } });
+
+  let totalSeconds = tracks.reduce((sum, track) => {
+    return sum + (track.durationInSeconds || 0);
+  }, 0);
+
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// A condition over Track fields, e.g. { field: 'genre', operator: 'in', value: ['House'] }
+const smartRuleSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    required: true
+  },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Rules of a smart playlist; its tracks are resolved from them
+// by services/smartPlaylistService.js
+const smartSchema = new mongoose.Schema({
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  rules: [smartRuleSchema],
+  sort: {
+    field: {
+      type: String,
+      default: 'createdAt'
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+  limit: {
+    type: Number,
+    default: 100
+  },
+  refreshedAt: Date
+}, { _id: false });
 
 const playlistSchema = new mongoose.Schema({
   name: {
@@ -15,8 +83,17 @@ const playlistSchema = new mongoose.Schema({
   },
   coverImage: {
     type: String,
-    default: 'https://images.unsplash.com/photo-1644855640845-ab57a047320e?w=400'
+    default: DEFAULT_COVER_IMAGE
+  },
+  // 'mosaic' covers are generated from track covers by
+  // services/playlistCoverService.js; 'custom' ones are never replaced
+  coverImageSource: {
+    type: String,
+    enum: ['default', 'mosaic', 'custom'],
+    default: 'default'
   },
+  coverImagePath: String,
+  coverMosaicKey: String,
   tracks: [{
     track: {
       type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +102,10 @@ const playlistSchema = new mongoose.Schema({
     addedAt: {
       type: Date,
       default: Date.now
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     }
   }],
   owner: {
@@ -44,13 +125,84 @@ const playlistSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  pendingInvites: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  // Secret link giving anyone who has it read-only (or, once signed in,
+  // collaborator) access, even to a private playlist
+  shareLink: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    access: {
+      type: String,
+      enum: ['read', 'collaborate']
+    },
+    expiresAt: Date,
+    createdAt: Date
+  },
   followers: {
     type: Number,
     default: 0
   },
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  forks: {
+    type: Number,
+    default: 0
+  },
   totalDuration: {
     type: String,
     default: '0:00'
+  },
+  // No default: a default would be regenerated on every load of playlists
+  // saved before snapshots existed. pre('save') and ensureSnapshotId set it.
+  snapshotId: {
+    type: String
+  },
+  // Imported entries we could not match to a catalog track (yet). `position`
+  // is where the track would have gone; `candidates` are possible matches.
+  placeholders: [{
+    title: String,
+    artist: String,
+    album: String,
+    durationInSeconds: Number,
+    location: String,
+    position: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['ambiguous', 'unmatched'],
+      default: 'unmatched'
+    },
+    candidates: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    }]
+  }],
+  smart: {
+    type: smartSchema,
+    default: undefined
   }
 }, {
   timestamps: true,
@@ -63,6 +215,9 @@ playlistSchema.index({ owner: 1 });
 playlistSchema.index({ name: 'text', description: 'text' });
 playlistSchema.index({ isPublic: 1 });
 playlistSchema.index({ createdAt: -1 });
+playlistSchema.index({ collaborators: 1 });
+playlistSchema.index({ 'pendingInvites.user': 1 });
+playlistSchema.index({ 'shareLink.tokenHash': 1 }, { sparse: true });
 
 // Virtual for track count
 playlistSchema.virtual('trackCount').get(function () {
@@ -70,11 +225,104 @@ playlistSchema.virtual('trackCount').get(function () {
   return this.tracks ? this.tracks.length : 0;
 });
 
+// Compare ids whether or not the reference is populated
+const sameId = (ref, userId) => Boolean(ref) && (ref._id || ref).toString() === userId.toString();
+
+// Permission helpers: only the owner manages the playlist itself; collaborators
+// of a collaborative playlist may change its tracks
+playlistSchema.methods.isOwner = function (userId) {
+  return sameId(this.owner, userId);
+};
+
+playlistSchema.methods.isCollaborator = function (userId) {
+  return this.collaborators.some(collaborator => sameId(collaborator, userId));
+};
+
+playlistSchema.methods.isInvited = function (userId) {
+  return this.pendingInvites.some(invite => sameId(invite.user, userId));
+};
+
+playlistSchema.methods.canEditTracks = function (userId) {
+  return this.isOwner(userId) || (this.isCollaborative && this.isCollaborator(userId));
+};
+
+playlistSchema.methods.canView = function (userId) {
+  return this.isPublic || this.isOwner(userId) || this.isCollaborator(userId);
+};
+
+// Playlists from before generated covers only mark custom ones by their URL
+playlistSchema.methods.hasCustomCover = function () {
+  return this.coverImageSource === 'custom' ||
+    (this.coverImageSource === 'default' && this.coverImage !== DEFAULT_COVER_IMAGE);
+};
+
+// Regenerate the mosaic cover in the background
+const queueCoverUpdate = async (playlistId) => {
+  const playlistCoverService = (await import('../services/playlistCoverService.js')).default;
+  playlistCoverService.queue(playlistId);
+};
+
+// Smart playlists get their tracks from rules, not manual edits
+playlistSchema.methods.isSmart = function () {
+  return Boolean(this.smart);
+};
+
+// Create (or rotate) the share link and return its token
+playlistSchema.methods.createShareLink = async function ({ access = 'read', expiresAt } = {}) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  this.shareLink = {
+    tokenHash: hashShareToken(token),
+    access,
+    expiresAt: expiresAt || undefined,
+    createdAt: new Date()
+  };
+  await this.save();
+
+  return token;
+};
+
+// Find the playlist a share link token belongs to, if the link is still valid
+playlistSchema.statics.findByShareToken = async function (token) {
+  const playlist = await this.findOne({ 'shareLink.tokenHash': hashShareToken(token) });
+
+  if (!playlist || (playlist.shareLink.expiresAt && playlist.shareLink.expiresAt <= new Date())) {
+    return null;
+  }
+  return playlist;
+};
+
+// Pending collaboration invites addressed to a user, newest first
+playlistSchema.statics.findInvitesFor = async function (userId) {
+  const playlists = await this.find({ 'pendingInvites.user': userId })
+    .select('name description coverImage owner isCollaborative pendingInvites')
+    .populate('owner', 'name profilePicture')
+    .populate('pendingInvites.invitedBy', 'name profilePicture');
+
+  return playlists
+    .map(playlist => {
+      const invite = playlist.pendingInvites.find(entry => sameId(entry.user, userId));
+      return {
+        playlist: {
+          _id: playlist._id,
+          name: playlist.name,
+          description: playlist.description,
+          coverImage: playlist.coverImage,
+          owner: playlist.owner,
+          isCollaborative: playlist.isCollaborative
+        },
+        invitedBy: invite.invitedBy,
+        invitedAt: invite.invitedAt
+      };
+    })
+    .sort((a, b) => b.invitedAt - a.invitedAt);
+};
+
 // Method to add track
-playlistSchema.methods.addTrack = async function (trackId) {
+playlistSchema.methods.addTrack = async function (trackId, userId) {
   const exists = this.tracks.some(t => t.track.toString() === trackId.toString());
   if (!exists) {
-    this.tracks.push({ track: trackId });
+    this.tracks.push({ track: trackId, addedBy: userId });
     await this.save();
   }
   return this;
@@ -87,26 +335,116 @@ playlistSchema.methods.removeTrack = async function (trackId) {
   return this;
 };
 
-// Calculate total duration before saving
-playlistSchema.pre('save', async function (next) {
-  if (this.isModified('tracks') && this.tracks.length > 0) {
-    try {
-      const Track = mongoose.model('Track');
-      const trackIds = this.tracks.map(t => t.track);
-      const tracks = await Track.find({ _id: { $in: trackIds } });
+// Apply a batch of positional track edits in one write:
+//   { op: 'move', from, count, to }   - move `count` tracks starting at `from` so the first lands at `to`
+//   { op: 'add', trackIds, index }    - insert tracks at `index` (append when omitted)
+//   { op: 'remove', trackIds }        - remove tracks
+// Fails with 409 when snapshotId is not the current one.
+playlistSchema.methods.applyTrackOperations = async function (snapshotId, operations, userId) {
+  // Playlists without a stored snapshot are only checked by the update below
+  if (this.isInit('snapshotId') && snapshotId !== this.snapshotId) {
+    throw httpError(409, 'Playlist was changed by someone else. Reload it and try again.');
+  }
 
-      let totalSeconds = tracks.reduce((sum, track) => {
-        return sum + (track.durationInSeconds || 0);
-      }, 0);
+  const addedIds = [...new Set(operations
+    .filter(operation => operation.op === 'add')
+    .flatMap(operation => operation.trackIds))];
+  const Track = mongoose.model('Track');
+  const existingCount = await Track.countDocuments({ _id: { $in: addedIds } });
 
-      const hours = Math.floor(totalSeconds / 3600);
-      const minutes = Math.floor((totalSeconds % 3600) / 60);
+  if (existingCount !== addedIds.length) {
+    throw httpError(400, 'One or more tracks do not exist');
+  }
 
-      if (hours > 0) {
-        this.totalDuration = `${hours}h ${minutes}m`;
-      } else {
-        this.totalDuration = `${minutes}m`;
+  let tracks = this.tracks.map(t => t.toObject());
+
+  for (const operation of operations) {
+    if (operation.op === 'move') {
+      const count = operation.count || 1;
+
+      if (operation.from + count > tracks.length || operation.to > tracks.length - count) {
+        throw httpError(400, 'Move is out of range');
       }
+
+      const moved = tracks.splice(operation.from, count);
+      tracks.splice(operation.to, 0, ...moved);
+    } else if (operation.op === 'add') {
+      const index = operation.index ?? tracks.length;
+
+      if (index > tracks.length) {
+        throw httpError(400, 'Insert index is out of range');
+      }
+
+      // Tracks already in the playlist are skipped, as in addTrack
+      const present = new Set(tracks.map(t => t.track.toString()));
+      const entries = [...new Set(operation.trackIds)]
+        .filter(trackId => !present.has(trackId))
+        .map(trackId => ({
+          track: new mongoose.Types.ObjectId(trackId),
+          addedAt: new Date(),
+          addedBy: userId
+        }));
+
+      tracks.splice(index, 0, ...entries);
+    } else if (operation.op === 'remove') {
+      const removed = new Set(operation.trackIds);
+      tracks = tracks.filter(t => !removed.has(t.track.toString()));
+    }
+  }
+
+  // Playlists created before snapshots existed have none stored yet
+  const result = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ snapshotId }, { snapshotId: { $exists: false } }] },
+    {
+      tracks,
+      snapshotId: generateSnapshotId(),
+      totalDuration: await calculateTotalDuration(tracks)
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw httpError(409, 'Playlist was changed by someone else. Reload it and try again.');
+  }
+
+  await queueCoverUpdate(this._id);
+
+  return this.constructor.findById(this._id);
+};
+
+// Store a snapshot id for a playlist saved before snapshots existed, so
+// clients have one to send back with track edits
+playlistSchema.methods.ensureSnapshotId = async function () {
+  if (this.snapshotId) {
+    return this.snapshotId;
+  }
+
+  const snapshotId = generateSnapshotId();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, snapshotId: { $exists: false } },
+    { snapshotId }
+  );
+
+  // Someone else stored one first
+  const stored = result.modifiedCount > 0
+    ? snapshotId
+    : (await this.constructor.findById(this._id).select('snapshotId'))?.snapshotId;
+
+  this.snapshotId = stored;
+  return stored;
+};
+
+// Calculate total duration and take a new snapshot before saving
+playlistSchema.pre('save', async function (next) {
+  if (this.isModified('tracks') || !this.snapshotId) {
+    this.snapshotId = generateSnapshotId();
+  }
+  if (this.isModified('tracks')) {
+    this.$locals.tracksChanged = true;
+  }
+
+  if (this.isModified('tracks') && this.tracks.length > 0) {
+    try {
+      this.totalDuration = await calculateTotalDuration(this.tracks);
     } catch (error) {
       console.error('Error calculating duration:', error);
     }
@@ -114,6 +452,14 @@ playlistSchema.pre('save', async function (next) {
   next();
 });
 
+// A changed track list may change the mosaic cover
+playlistSchema.post('save', async function () {
+  if (this.$locals.tracksChanged) {
+    this.$locals.tracksChanged = false;
+    await queueCoverUpdate(this._id);
+  }
+});
+
 const Playlist = mongoose.model('Playlist', playlistSchema);
 
 export default Playlist;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// How deep folders may nest (a top-level folder is depth 1)
+export const MAX_FOLDER_DEPTH = 5;
+
+// A folder in a user's library. Holds playlists (own or followed, in order)
+// and, through `parent`, other folders.
+const playlistFolderSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a folder name'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot be more than 100 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlaylistFolder',
+    default: null
+  },
+  playlists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+playlistFolderSchema.index({ owner: 1, parent: 1 });
+playlistFolderSchema.index({ playlists: 1 });
+
+// Put a playlist in one of the owner's folders (or, with no folder, back at
+// the top level). A playlist lives in at most one folder per user.
+playlistFolderSchema.statics.placePlaylist = async function (ownerId, playlistId, folderId, index) {
+  await this.updateMany(
+    { owner: ownerId, playlists: playlistId },
+    { $pull: { playlists: playlistId } }
+  );
+
+  if (folderId) {
+    await this.updateOne(
+      { _id: folderId, owner: ownerId },
+      { $push: { playlists: { $each: [playlistId], ...(index !== undefined && { $position: index }) } } }
+    );
+  }
+};
+
+// Take a playlist out of folders, e.g. when it is deleted or unfollowed
+playlistFolderSchema.statics.removePlaylist = function (playlistId, ownerId) {
+  const query = { playlists: playlistId };
+  if (ownerId) query.owner = ownerId;
+
+  return this.updateMany(query, { $pull: { playlists: playlistId } });
+};
+
+const PlaylistFolder = mongoose.model('PlaylistFolder', playlistFolderSchema);
+
+export default PlaylistFolder;
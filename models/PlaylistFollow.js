@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// A user following a playlist; Playlist.followers counts these
+const playlistFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+playlistFollowSchema.index({ user: 1, playlist: 1 }, { unique: true });
+playlistFollowSchema.index({ playlist: 1 });
+
+// Follow a playlist; the counter only moves when a follow is actually created
+playlistFollowSchema.statics.follow = async function (userId, playlistId) {
+  const result = await this.updateOne(
+    { user: userId, playlist: playlistId },
+    { $setOnInsert: { user: userId, playlist: playlistId } },
+    { upsert: true }
+  );
+
+  if (result.upsertedCount > 0) {
+    await mongoose.model('Playlist').updateOne({ _id: playlistId }, { $inc: { followers: 1 } });
+    return true;
+  }
+  return false;
+};
+
+// Unfollow a playlist; the counter only moves when a follow is actually removed
+playlistFollowSchema.statics.unfollow = async function (userId, playlistId) {
+  const follow = await this.findOneAndDelete({ user: userId, playlist: playlistId });
+
+  if (follow) {
+    await mongoose.model('Playlist').updateOne(
+      { _id: playlistId, followers: { $gt: 0 } },
+      { $inc: { followers: -1 } }
+    );
+    return true;
+  }
+  return false;
+};
+
+// Drop every follow of a user, e.g. when the account is deleted
+playlistFollowSchema.statics.unfollowAll = async function (userId) {
+  const follows = await this.find({ user: userId }).select('playlist');
+
+  for (const follow of follows) {
+    await this.unfollow(userId, follow.playlist);
+  }
+};
+
+// Playlists a user follows, newest follow first. Playlists that were deleted
+// or made private since are left out.
+playlistFollowSchema.statics.findFollowedPlaylists = async function (userId) {
+  const follows = await this.find({ user: userId })
+    .sort('-createdAt')
+    .populate({
+      path: 'playlist',
+      select: '-pendingInvites',
+      populate: [
+        { path: 'owner', select: 'name profilePicture' },
+        { path: 'tracks.track', select: 'title artist coverImage duration' }
+      ]
+    });
+
+  return follows
+    .filter(follow => follow.playlist && follow.playlist.canView(userId))
+    .map(follow => follow.playlist);
+};
+
+const PlaylistFollow = mongoose.model('PlaylistFollow', playlistFollowSchema);
+
+export default PlaylistFollow;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+// Revisions kept per playlist; older ones are pruned
+const MAX_REVISIONS = 100;
+
+// The playlist fields a revision captures and a restore brings back
+const captureState = (playlist) => ({
+  name: playlist.name,
+  description: playlist.description,
+  coverImage: playlist.coverImage,
+  coverImageSource: playlist.coverImageSource,
+  tracks: playlist.tracks.map(entry => ({
+    track: entry.track?._id || entry.track,
+    addedAt: entry.addedAt,
+    addedBy: entry.addedBy?._id || entry.addedBy
+  }))
+});
+
+// One version of a playlist: its state right after a change, and who made it
+const playlistRevisionSchema = new mongoose.Schema({
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: [
+      'baseline',
+      'created',
+      'imported',
+      'details_updated',
+      'tracks_added',
+      'tracks_removed',
+      'tracks_edited',
+      'restored'
+    ],
+    required: true
+  },
+  // What changed, e.g. { name: { from, to } } or { trackIds: [...] }
+  changes: mongoose.Schema.Types.Mixed,
+  // Set by hand rather than by timestamps, which would overwrite the
+  // backdated time of baseline revisions
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  state: {
+    name: String,
+    description: String,
+    coverImage: String,
+    coverImageSource: String,
+    tracks: [{
+      _id: false,
+      track: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Track'
+      },
+      addedAt: Date,
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }]
+  }
+});
+
+// Indexes
+playlistRevisionSchema.index({ playlist: 1, createdAt: -1 });
+
+// Snapshot a playlist before changing it, to pass to record() as `previous`
+playlistRevisionSchema.statics.capture = function (playlist) {
+  return { ...captureState(playlist), updatedAt: playlist.updatedAt, owner: playlist.owner };
+};
+
+// Record a change to a playlist. Playlists that predate history get a
+// baseline revision from `previous` first, so their first change can be
+// undone too. History must never break editing.
+playlistRevisionSchema.statics.record = async function (playlist, user, action, { changes, previous } = {}) {
+  try {
+    if (previous && !(await this.exists({ playlist: playlist._id }))) {
+      const { updatedAt, owner, ...state } = previous;
+      await this.create({
+        playlist: playlist._id,
+        user: owner?._id || owner,
+        action: 'baseline',
+        state,
+        createdAt: updatedAt
+      });
+    }
+
+    await this.create({
+      playlist: playlist._id,
+      user: user?._id,
+      action,
+      changes,
+      state: captureState(playlist)
+    });
+
+    const expired = await this.find({ playlist: playlist._id })
+      .sort('-createdAt')
+      .skip(MAX_REVISIONS)
+      .select('_id');
+
+    if (expired.length > 0) {
+      await this.deleteMany({ _id: { $in: expired.map(revision => revision._id) } });
+    }
+  } catch (error) {
+    console.error('Failed to record playlist revision:', error.message);
+  }
+};
+
+const PlaylistRevision = mongoose.model('PlaylistRevision', playlistRevisionSchema);
+
+export default PlaylistRevision;
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',
+      'password_change',
+      'password_reset',
+      'deactivated',
+      'reuse_detected',
+      'user_deleted',
+      'remote_signout',
+      'admin_revoked'
+    ],
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Issue a new refresh token for this session, invalidating the previous one.
+// Refresh tokens have the form `<sessionId>.<secret>`; only the hash is stored.
+sessionSchema.methods.rotate = async function () {
+  const secret = crypto.randomBytes(40).toString('hex');
+  const ttlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = Date.now();
+  this.expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+  await this.save();
+
+  return `${this._id}.${secret}`;
+};
+
+// Compare a presented refresh token secret with the stored hash
+sessionSchema.methods.matchesSecret = function (secret) {
+  const expected = Buffer.from(this.refreshTokenHash, 'hex');
+  const actual = Buffer.from(hashToken(secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Record activity on this session, at most every few minutes to spare writes
+sessionSchema.methods.touch = async function (ip) {
+  if (Date.now() - this.lastUsedAt.getTime() < 5 * 60 * 1000) {
+    return this;
+  }
+
+  this.lastUsedAt = Date.now();
+  if (ip) this.ip = ip;
+  await this.save();
+  return this;
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function (reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = Date.now();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Start a new session for a user and return it with its first refresh token
+sessionSchema.statics.start = async function (user, { userAgent, ip } = {}) {
+  const session = new this({
+    user: user._id,
+    userAgent: userAgent || '',
+    ip: ip || '',
+    refreshTokenHash: 'pending',
+    expiresAt: new Date()
+  });
+
+  const refreshToken = await session.rotate();
+  return { session, refreshToken };
+};
+
+// Find the session a refresh token belongs to, split from its secret
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { session: null, secret: null };
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash');
+  return { session, secret };
+};
+
+// List the sessions a user is still signed in with, most recently used first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort('-lastUsedAt')
+    .select('userAgent ip createdAt lastUsedAt expiresAt');
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function (userId, reason, { except } = {}) {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  return this.updateMany(query, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
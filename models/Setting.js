@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Platform-wide settings managed by admins; stored as a single document
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  requireVerifiedEmailForPublicPlaylists: {
+    type: Boolean,
+    default: false
+  },
+  requireTwoFactorForAdmins: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Get the settings document, creating it with defaults on first use
+settingSchema.statics.getSettings = function () {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
@@ -12,11 +12,40 @@ const trackSchema = new mongoose.Schema({
     required: [true, 'Please provide an artist name'],
     trim: true
   },
+  // Linked artist profiles; `artist` above stays the display credit
+  artists: [{
+    _id: false,
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['primary', 'featured'],
+      default: 'primary'
+    }
+  }],
   album: {
     type: String,
     trim: true,
     default: 'Single'
   },
+  // Album the track belongs to; `album` above stays its title
+  albumId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album',
+    default: null
+  },
+  discNumber: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  trackNumber: {
+    type: Number,
+    min: 1
+  },
   coverImage: {
     type: String,
     required: [true, 'Please provide a cover image'],
@@ -91,6 +120,9 @@ trackSchema.index({ category: 1, isPublished: 1 });
 trackSchema.index({ plays: -1 });
 trackSchema.index({ uploadedBy: 1 });
 trackSchema.index({ createdAt: -1 });
+trackSchema.index({ 'artists.artist': 1, plays: -1 });
+trackSchema.index({ 'artists.artist': 1, createdAt: -1 });
+trackSchema.index({ albumId: 1, discNumber: 1, trackNumber: 1 });
 
 // Virtual for formatted plays count
 trackSchema.virtual('formattedPlays').get(function () {
@@ -1,6 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { verifyCode } from '../utils/totp.js';
+
+// Brute-force protection per account
+const FREE_LOGIN_ATTEMPTS = 3;
+const MAX_FAILED_LOGINS = 10;
+const MAX_LOGIN_DELAY_MS = 60 * 1000;
+const LOCK_DURATION_MS = 30 * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -44,6 +52,42 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerificationNonce: {
+    type: String,
+    select: false
+  },
+  emailVerificationSentAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   likedTracks: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Track'
@@ -53,7 +97,8 @@ const userSchema = new mongoose.Schema({
     ref: 'Playlist'
   }],
   followedArtists: [{
-    type: String
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
   }],
   listeningStats: {
     totalSongsPlayed: {
@@ -67,7 +112,13 @@ const userSchema = new mongoose.Schema({
     favoriteGenre: {
       type: String,
       default: 'Not set'
-    }
+    },
+    // Derived from listening history by listeningStatsService, keyed by range
+    computed: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    },
+    computedAt: Date
   },
   subscription: {
     status: {
@@ -123,6 +174,14 @@ const userSchema = new mongoose.Schema({
       default: 'English'
     }
   },
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockUntil: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -142,6 +201,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
 
+// Virtual for temporary lockout status
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > Date.now());
+});
+
 // Virtual for full display name
 userSchema.virtual('displayName').get(function() {
   return this.name || this.email.split('@')[0];
@@ -163,24 +227,215 @@ userSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Milliseconds until another login attempt is allowed: the remaining lockout,
+// or a delay that doubles with each failure past FREE_LOGIN_ATTEMPTS
+userSchema.methods.getLoginWait = function() {
+  const { failedAttempts = 0, lastFailedAt, lockUntil } = this.loginSecurity || {};
+
+  if (lockUntil && lockUntil > Date.now()) {
+    return lockUntil.getTime() - Date.now();
+  }
+
+  if (failedAttempts < FREE_LOGIN_ATTEMPTS || !lastFailedAt) {
+    return 0;
+  }
+
+  const delay = Math.min(2 ** (failedAttempts - FREE_LOGIN_ATTEMPTS) * 1000, MAX_LOGIN_DELAY_MS);
+  return Math.max(lastFailedAt.getTime() + delay - Date.now(), 0);
+};
+
+// Count a failed login atomically (concurrent attempts all count) and lock the
+// account once MAX_FAILED_LOGINS is reached. Returns true if this locked it.
+userSchema.methods.recordFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  );
+
+  this.loginSecurity = updated.loginSecurity;
+
+  if (updated.loginSecurity.failedAttempts < MAX_FAILED_LOGINS) {
+    return false;
+  }
+
+  this.loginSecurity = {
+    failedAttempts: 0,
+    lastFailedAt: updated.loginSecurity.lastFailedAt,
+    lockUntil: new Date(Date.now() + LOCK_DURATION_MS)
+  };
+  await this.constructor.updateOne({ _id: this._id }, { loginSecurity: this.loginSecurity });
+  return true;
+};
+
+// Clear failed attempts and any lockout
+userSchema.methods.resetLoginSecurity = async function() {
+  this.loginSecurity = { failedAttempts: 0 };
+  await this.constructor.updateOne({ _id: this._id }, { loginSecurity: this.loginSecurity });
+};
+
+// Generate short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id,
       email: this.email,
-      role: this.role 
+      role: this.role,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 }
   );
 };
 
+// Generate signed one-time email verification token. Issuing a new token
+// replaces the nonce, so earlier links stop working.
+userSchema.methods.createEmailVerificationToken = function() {
+  this.emailVerificationNonce = crypto.randomBytes(16).toString('hex');
+  this.emailVerificationSentAt = Date.now();
+
+  return jwt.sign(
+    {
+      id: this._id,
+      purpose: 'verify-email',
+      nonce: this.emailVerificationNonce
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+};
+
+// Mark email verified if the token is valid and unused
+userSchema.statics.verifyEmailToken = async function(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== 'verify-email' || !decoded.nonce) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    { _id: decoded.id, emailVerificationNonce: decoded.nonce },
+    { isEmailVerified: true, $unset: { emailVerificationNonce: 1 } },
+    { new: true }
+  );
+};
+
+// Generate single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return resetToken;
+};
+
+// Redeem a valid, unexpired reset token and return its user. The token is
+// cleared in the same update, so concurrent requests cannot both redeem it;
+// any login lockout is lifted since the owner has proven access.
+userSchema.statics.consumePasswordResetToken = function(resetToken) {
+  const tokenHash = crypto.createHash('sha256').update(String(resetToken)).digest('hex');
+
+  return this.findOneAndUpdate(
+    {
+      passwordResetTokenHash: tokenHash,
+      passwordResetExpires: { $gt: Date.now() }
+    },
+    {
+      $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 },
+      $set: { loginSecurity: { failedAttempts: 0 } }
+    },
+    { new: true }
+  ).select('+password');
+};
+
+// Generate short-lived token for the second step of login or forced 2FA enrolment
+userSchema.methods.createTwoFactorChallenge = function(purpose) {
+  return jwt.sign(
+    { id: this._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Find the user a two-factor challenge token was issued to
+userSchema.statics.findByTwoFactorChallenge = function(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== purpose) {
+    return null;
+  }
+
+  return this.findById(decoded.id)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// Check a TOTP code against the active secret; each code works only once
+userSchema.methods.verifyTwoFactorCode = function(code, secret = this.twoFactor.secret) {
+  const step = secret ? verifyCode(secret, code) : null;
+
+  if (step === null || step <= (this.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Replace recovery codes; returns the plain codes, only hashes are stored
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+
+  return codes;
+};
+
+// Consume a recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(codeHash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Remove sensitive data from JSON response
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  delete user.emailVerificationNonce;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
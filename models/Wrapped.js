@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// Precomputed year-in-review per user, generated by utils/generateWrapped.js
+const wrappedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  minutesListened: {
+    type: Number,
+    default: 0
+  },
+  podcastHours: {
+    type: Number,
+    default: 0
+  },
+  totalPlays: {
+    type: Number,
+    default: 0
+  },
+  topTracks: [{
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    },
+    title: String,
+    artist: String,
+    coverImage: String,
+    plays: Number
+  }],
+  topArtists: [{
+    artist: String,
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist'
+    },
+    slug: String,
+    plays: Number
+  }],
+  topGenres: [{
+    genre: String,
+    plays: Number
+  }],
+  firstSong: {
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    },
+    title: String,
+    artist: String,
+    playedAt: Date
+  },
+  mostReplayedDay: {
+    date: String,
+    plays: Number,
+    track: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Track'
+    },
+    title: String,
+    artist: String,
+    trackPlays: Number
+  },
+  // Share of listeners this user listened more than, 0-100
+  percentile: {
+    type: Number,
+    default: 0
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+wrappedSchema.index({ user: 1, year: 1 }, { unique: true });
+wrappedSchema.index({ year: 1, minutesListened: 1 });
+
+const Wrapped = mongoose.model('Wrapped', wrappedSchema);
+
+export default Wrapped;
@@ -2,7 +2,14 @@ import express from 'express';
 import User from '../models/User.js';
 import Track from '../models/Track.js';
 import Playlist from '../models/Playlist.js';
+import PlaylistFollow from '../models/PlaylistFollow.js';
+import PlaylistFolder from '../models/PlaylistFolder.js';
+import Artist from '../models/Artist.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import AuthEvent from '../models/AuthEvent.js';
 import { protect, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -77,6 +84,47 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/settings
+ * @desc    Get platform settings
+ * @access  Private/Admin
+ */
+router.get('/settings', async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings();
+
+    res.status(200).json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/admin/settings
+ * @desc    Update platform settings
+ * @access  Private/Admin
+ */
+router.put('/settings', validate(schemas.updateAppSettings), async (req, res, next) => {
+  try {
+    const settings = await Setting.findOneAndUpdate(
+      { key: 'global' },
+      req.body,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with pagination
@@ -84,7 +132,7 @@ router.get('/stats', async (req, res, next) => {
  */
 router.get('/users', async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search, userType, role } = req.query;
+    const { page = 1, limit = 20, search, userType, role, isEmailVerified } = req.query;
 
     const query = {};
     if (search) {
@@ -95,6 +143,9 @@ router.get('/users', async (req, res, next) => {
     }
     if (userType) query.userType = userType;
     if (role) query.role = role;
+    if (isEmailVerified === 'true' || isEmailVerified === 'false') {
+      query.isEmailVerified = isEmailVerified === 'true';
+    }
 
     const users = await User.find(query)
       .sort('-createdAt')
@@ -143,6 +194,154 @@ router.get('/users/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Clear failed login attempts and lift a temporary lockout
+ * @access  Private/Admin
+ */
+router.post('/users/:id/unlock', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginSecurity();
+    await AuthEvent.record('account_unlocked', { user, req, actor: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id/auth-events
+ * @desc    Get a user's authentication audit events
+ * @access  Private/Admin
+ */
+router.get('/users/:id/auth-events', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, type } = req.query;
+
+    const query = { user: req.params.id };
+    if (type) query.type = type;
+
+    const events = await AuthEvent.find(query)
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('actor', 'name email');
+
+    const count = await AuthEvent.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/admin/users/:id/sessions
+ * @desc    List a user's active sessions
+ * @access  Private/Admin
+ */
+router.get('/users/:id/sessions', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions
+ * @desc    Sign a user out of all sessions
+ * @access  Private/Admin
+ */
+router.delete('/users/:id/sessions', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'admin_revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'User signed out of all sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @desc    Sign a user out of a specific session
+ * @access  Private/Admin
+ */
+router.delete('/users/:id/sessions/:sessionId', async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.params.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('admin_revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/admin/users/:id
  * @desc    Update user (admin can change role, userType, etc.)
@@ -192,6 +391,11 @@ router.put('/users/:id', async (req, res, next) => {
       });
     }
 
+    // Deactivated users are signed out everywhere
+    if (isActive === false) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -227,6 +431,10 @@ router.delete('/users/:id', async (req, res, next) => {
     }
 
     await user.deleteOne();
+    await Session.revokeAllForUser(user._id, 'user_deleted');
+    await PlaylistFollow.unfollowAll(user._id);
+    await PlaylistFolder.deleteMany({ owner: user._id });
+    await Artist.releaseFollows(user.followedArtists);
 
     res.status(200).json({
       success: true,
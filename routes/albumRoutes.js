@@ -0,0 +1,301 @@
+import express from 'express';
+import Album from '../models/Album.js';
+import Artist from '../models/Artist.js';
+import Track from '../models/Track.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { validate, schemas } from '../utils/validation.js';
+
+const router = express.Router();
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const toSeconds = (duration) => {
+  const [minutes, seconds] = duration.split(':').map(Number);
+  return minutes * 60 + seconds;
+};
+
+// 2535 -> "42:15", 4000 -> "1:06:40"
+const formatDuration = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+// Album credit from a free-text `artist` or a list of artist ids; only
+// primary artists are linked to the album itself
+const creditAlbum = async ({ artist, artists, title }) => {
+  const credits = await Artist.creditTrack({
+    artist,
+    artists: artists?.map(id => ({ artist: id, role: 'primary' })),
+    title
+  });
+
+  return {
+    artist: credits.artist,
+    artists: credits.artists.filter(credit => credit.role === 'primary').map(credit => credit.artist)
+  };
+};
+
+// Work out the writes for an album's full tracklist before making any, so a
+// bad entry leaves the album untouched. Numbers run per disc in payload
+// order unless given.
+const planTracklist = async (album, tracks, userId) => {
+  const existingIds = tracks.filter(track => track._id).map(track => track._id);
+  const existing = await Track.find({ _id: { $in: existingIds } }).select('albumId');
+  const found = new Map(existing.map(track => [track._id.toString(), track]));
+
+  for (const id of existingIds) {
+    const track = found.get(id);
+    if (!track) {
+      throw httpError(400, `Track ${id} not found`);
+    }
+    if (track.albumId && !track.albumId.equals(album._id)) {
+      throw httpError(400, `Track ${id} belongs to another album`);
+    }
+  }
+
+  const lastNumber = {};
+  const plan = [];
+
+  for (const { _id, ...fields } of tracks) {
+    const discNumber = fields.discNumber || 1;
+    const trackNumber = fields.trackNumber || (lastNumber[discNumber] || 0) + 1;
+    lastNumber[discNumber] = trackNumber;
+
+    const data = {
+      ...fields,
+      album: album.title,
+      albumId: album._id,
+      discNumber,
+      trackNumber
+    };
+
+    if (fields.duration) {
+      data.durationInSeconds = toSeconds(fields.duration);
+    }
+
+    if (fields.artist || fields.artists) {
+      Object.assign(data, await Artist.creditTrack(fields));
+    } else if (!_id) {
+      // New tracks without their own credit go to the album's artists
+      data.artist = album.artist;
+      data.artists = album.artists.map(artist => ({ artist, role: 'primary' }));
+    }
+
+    if (!_id) {
+      data.coverImage = data.coverImage || album.coverImage;
+      data.genre = data.genre || album.genre;
+      data.uploadedBy = userId;
+    }
+
+    plan.push({ _id, data });
+  }
+
+  return plan;
+};
+
+// Apply a planned tracklist; album tracks not in it are taken off the album
+const applyTracklist = async (album, plan) => {
+  const keptIds = [];
+
+  for (const { _id, data } of plan) {
+    if (_id) {
+      await Track.findByIdAndUpdate(_id, data, { runValidators: true });
+      keptIds.push(_id);
+    } else {
+      const track = await Track.create(data);
+      keptIds.push(track._id);
+    }
+  }
+
+  await Track.updateMany(
+    { albumId: album._id, _id: { $nin: keptIds } },
+    { album: 'Single', albumId: null, discNumber: 1, $unset: { trackNumber: 1 } }
+  );
+};
+
+/**
+ * @route   GET /api/albums
+ * @desc    List or search albums
+ * @access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, type, artist } = req.query;
+
+    const query = {};
+    if (search) query.$text = { $search: search };
+    if (type) query.type = type;
+    if (artist) query.artists = artist;
+
+    const albums = await Album.find(query)
+      .sort({ releaseDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('artists', 'name slug');
+
+    const count = await Album.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      data: albums
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/albums/:id
+ * @desc    Get album with its tracks in order and total duration
+ * @access  Public
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const album = await Album.findById(req.params.id).populate('artists', 'name slug images verified');
+
+    if (!album) {
+      return res.status(404).json({
+        success: false,
+        message: 'Album not found'
+      });
+    }
+
+    const tracks = await album.getTracks({ isPublished: true }).populate('artists.artist', 'name slug');
+    const totalDurationInSeconds = tracks.reduce((total, track) => total + (track.durationInSeconds || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      album: {
+        ...album.toJSON(),
+        trackCount: tracks.length,
+        discCount: new Set(tracks.map(track => track.discNumber)).size,
+        totalDurationInSeconds,
+        totalDuration: formatDuration(totalDurationInSeconds)
+      },
+      tracks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/albums
+ * @desc    Create album, optionally with its tracks
+ * @access  Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), validate(schemas.createAlbum), async (req, res, next) => {
+  try {
+    const { tracks, artist, artists, ...fields } = req.body;
+
+    const album = new Album({
+      ...fields,
+      ...await creditAlbum({ artist, artists, title: fields.title }),
+      createdBy: req.user._id
+    });
+    await album.validate();
+
+    const plan = tracks ? await planTracklist(album, tracks, req.user._id) : [];
+
+    await album.save();
+    await applyTracklist(album, plan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Album created successfully',
+      album,
+      tracks: await album.getTracks()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/albums/:id
+ * @desc    Update album details and, when `tracks` is sent, its tracklist
+ * @access  Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), validate(schemas.updateAlbum), async (req, res, next) => {
+  try {
+    const album = await Album.findById(req.params.id);
+
+    if (!album) {
+      return res.status(404).json({
+        success: false,
+        message: 'Album not found'
+      });
+    }
+
+    const { tracks, artist, artists, ...fields } = req.body;
+
+    album.set(fields);
+    if (artist || artists) {
+      album.set(await creditAlbum({ artist, artists, title: album.title }));
+    }
+    await album.validate();
+
+    const plan = tracks ? await planTracklist(album, tracks, req.user._id) : null;
+
+    await album.save();
+
+    if (plan) {
+      await applyTracklist(album, plan);
+    }
+
+    // Tracks carry the album title for display and search
+    if (fields.title) {
+      await Track.updateMany({ albumId: album._id }, { album: album.title });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Album updated successfully',
+      album,
+      tracks: await album.getTracks()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/albums/:id
+ * @desc    Delete album; its tracks become singles
+ * @access  Private (Admin only)
+ */
+router.delete('/:id', protect, authorize('admin'), async (req, res, next) => {
+  try {
+    const album = await Album.findById(req.params.id);
+
+    if (!album) {
+      return res.status(404).json({
+        success: false,
+        message: 'Album not found'
+      });
+    }
+
+    await Track.updateMany(
+      { albumId: album._id },
+      { album: 'Single', albumId: null, discNumber: 1, $unset: { trackNumber: 1 } }
+    );
+    await album.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Album deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,209 @@
+import express from 'express';
+import Artist, { slugify } from '../models/Artist.js';
+import Album from '../models/Album.js';
+import Track from '../models/Track.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../utils/validation.js';
+
+const router = express.Router();
+
+const TOP_TRACKS_LIMIT = 10;
+
+// Artists are addressed by id or by slug (/api/artists/luna-echo)
+const artistQuery = (idOrSlug) => (
+  /^[0-9a-f]{24}$/i.test(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug.normalize('NFC').toLowerCase() }
+);
+
+/**
+ * @route   GET /api/artists
+ * @desc    List or search artists
+ * @access  Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, search, genre } = req.query;
+
+    const query = {};
+    if (search) query.$text = { $search: search };
+    if (genre) query.genres = genre;
+
+    const artists = await Artist.find(query)
+      .sort({ verified: -1, name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await Artist.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      data: artists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/artists/:id
+ * @desc    Get artist page: profile, top tracks, albums and follower count
+ * @access  Public
+ */
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const artist = await Artist.findOne(artistQuery(req.params.id));
+
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+
+    const [topTracks, albums] = await Promise.all([
+      Track.find({ 'artists.artist': artist._id, isPublished: true })
+        .sort({ plays: -1 })
+        .limit(TOP_TRACKS_LIMIT)
+        .populate('artists.artist', 'name slug'),
+      Album.find({ artists: artist._id })
+        .sort({ releaseDate: -1 })
+        .select('title type releaseDate coverImage')
+    ]);
+
+    const isFollowing = Boolean(req.user?.followedArtists.some(id => id.equals(artist._id)));
+
+    res.status(200).json({
+      success: true,
+      artist,
+      isFollowing,
+      topTracks,
+      albums
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/artists/:id/follow
+ * @desc    Follow an artist
+ * @access  Private
+ */
+router.post('/:id/follow', protect, async (req, res, next) => {
+  try {
+    const artist = await Artist.findOne(artistQuery(req.params.id)).select('_id');
+
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+
+    const followed = await Artist.follow(req.user._id, artist._id);
+    const { followers } = await Artist.findById(artist._id).select('followers');
+
+    res.status(followed ? 201 : 200).json({
+      success: true,
+      message: followed ? 'Artist followed' : 'You already follow this artist',
+      followers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/artists/:id/follow
+ * @desc    Unfollow an artist
+ * @access  Private
+ */
+router.delete('/:id/follow', protect, async (req, res, next) => {
+  try {
+    const artist = await Artist.findOne(artistQuery(req.params.id)).select('_id');
+
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+
+    const unfollowed = await Artist.unfollow(req.user._id, artist._id);
+
+    if (!unfollowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not follow this artist'
+      });
+    }
+
+    const { followers } = await Artist.findById(artist._id).select('followers');
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist unfollowed',
+      followers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/artists
+ * @desc    Create artist
+ * @access  Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), validate(schemas.createArtist), async (req, res, next) => {
+  try {
+    const artist = await Artist.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Artist created successfully',
+      artist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/artists/:id
+ * @desc    Update artist
+ * @access  Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), validate(schemas.updateArtist), async (req, res, next) => {
+  try {
+    // A rename moves the artist's URL too, unless a slug is given
+    if (req.body.name && !req.body.slug) {
+      req.body.slug = slugify(req.body.name);
+    }
+
+    const artist = await Artist.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!artist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artist not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist updated successfully',
+      artist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,11 +1,135 @@
 import express from 'express';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import AuthEvent from '../models/AuthEvent.js';
 import { protect } from '../middleware/auth.js';
 import { validate, schemas } from '../utils/validation.js';
-import { authLimiter } from '../middleware/rateLimiter.js';
+import { authLimiter, emailLimiter } from '../middleware/rateLimiter.js';
+import { issueSession, setAuthCookies, clearAuthCookies, sendVerificationEmail } from '../utils/authTokens.js';
+import mailService from '../services/mailService.js';
+import { generateSecret, buildOtpauthUri } from '../utils/totp.js';
 
 const router = express.Router();
 
+// Minimum time between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Refuse the attempt while the account is locked or backing off after failures
+const rejectIfThrottled = async (user, req, res) => {
+  const waitMs = user.getLoginWait();
+
+  if (waitMs <= 0) {
+    return false;
+  }
+
+  await AuthEvent.record('login_blocked', { user, req });
+
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  if (user.isLocked) {
+    res.status(423).json({
+      success: false,
+      message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`
+    });
+  } else {
+    res.status(429).json({
+      success: false,
+      message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`
+    });
+  }
+
+  return true;
+};
+
+// Count a failed password or 2FA attempt against the account
+const handleFailedLogin = async (user, req, type = 'login_failed') => {
+  await AuthEvent.record(type, { user, req });
+
+  if (await user.recordFailedLogin()) {
+    await AuthEvent.record('account_locked', { user, req });
+  }
+};
+
+// Update last login, start a session and send the login response
+const startSession = async (user, req, res, message, extra = {}) => {
+  if (user.loginSecurity.failedAttempts > 0 || user.loginSecurity.lockUntil) {
+    await user.resetLoginSecurity();
+  }
+  await AuthEvent.record('login_succeeded', { user, req });
+
+  user.lastLogin = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  const { token, refreshToken } = await issueSession(user, req, res);
+
+  // Remove password from response
+  user.password = undefined;
+
+  res.status(200).json({
+    success: true,
+    message,
+    token,
+    refreshToken,
+    user,
+    ...extra
+  });
+};
+
+// Finish a password login: ask for the second factor when 2FA is on, force
+// enrolment for admins when the platform requires it, else start a session
+const completeLogin = async (user, req, res, message) => {
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.createTwoFactorChallenge('2fa-login'),
+      message: 'Enter your two-factor authentication code'
+    });
+  }
+
+  if (user.role === 'admin') {
+    const settings = await Setting.getSettings();
+
+    if (settings.requireTwoFactorForAdmins) {
+      return res.status(403).json({
+        success: false,
+        twoFactorSetupRequired: true,
+        challengeToken: user.createTwoFactorChallenge('2fa-setup'),
+        message: 'Two-factor authentication is required for admin accounts. Please set it up to continue.'
+      });
+    }
+  }
+
+  return startSession(user, req, res, message);
+};
+
+// Authenticate 2FA enrolment either with a normal session or, when enrolment
+// was forced during login, with the setup challenge token
+const enrolmentAuth = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const user = await User.findByTwoFactorChallenge(req.body.challengeToken, '2fa-setup');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    req.user = user;
+    req.enrolmentChallenge = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -32,21 +156,16 @@ router.post('/register', authLimiter, validate(schemas.register), async (req, re
       profilePicture: `https://ui-avatars.com/api/?name=${encodeURIComponent(name)}&background=10b981&color=fff`
     });
 
-    // Generate token
-    const token = user.generateAuthToken();
+    await sendVerificationEmail(user);
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    // Start session and set cookies
+    const { token, refreshToken } = await issueSession(user, req, res);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user
     });
   } catch (error) {
@@ -67,46 +186,29 @@ router.post('/login', authLimiter, validate(schemas.login), async (req, res, nex
     const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
 
     if (!user) {
+      await AuthEvent.record('login_failed', { email, req });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (await rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
     // Check password
     const isPasswordMatch = await user.comparePassword(password);
 
     if (!isPasswordMatch) {
+      await handleFailedLogin(user, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
-    await user.save({ validateBeforeSave: false });
-
-    // Generate token
-    const token = user.generateAuthToken();
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000
-    });
-
-    // Remove password from response
-    user.password = undefined;
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user
-    });
+    await completeLogin(user, req, res, 'Login successful');
   } catch (error) {
     next(error);
   }
@@ -128,43 +230,257 @@ router.post('/admin-login', authLimiter, validate(schemas.login), async (req, re
     }).select('+password');
 
     if (!user) {
+      await AuthEvent.record('login_failed', { email, req });
       return res.status(401).json({
         success: false,
         message: 'Invalid admin credentials'
       });
     }
 
+    if (await rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
     // Check password
     const isPasswordMatch = await user.comparePassword(password);
 
     if (!isPasswordMatch) {
+      await handleFailedLogin(user, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid admin credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = Date.now();
+    await completeLogin(user, req, res, 'Admin login successful');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public
+ */
+router.post('/2fa/verify', authLimiter, validate(schemas.twoFactorVerify), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await User.findByTwoFactorChallenge(challengeToken, '2fa-login');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please login again.'
+      });
+    }
+
+    if (await rejectIfThrottled(user, req, res)) {
+      return;
+    }
+
+    const isValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      await handleFailedLogin(user, req, 'two_factor_failed');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await startSession(user, req, res, 'Login successful', {
+      ...(recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrolment and get the otpauth URI for an authenticator app
+ * @access  Private (or setup challenge)
+ */
+router.post('/2fa/setup', authLimiter, validate(schemas.twoFactorSetup), enrolmentAuth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
     await user.save({ validateBeforeSave: false });
 
-    // Generate token
-    const token = user.generateAuthToken();
+    res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm enrolment with a first code; returns recovery codes
+ * @access  Private (or setup challenge)
+ */
+router.post('/2fa/confirm', authLimiter, validate(schemas.twoFactorConfirm), enrolmentAuth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No two-factor enrolment in progress'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, user.twoFactor.pendingSecret)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = Date.now();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    // Enrolment forced at login finishes the login
+    if (req.enrolmentChallenge) {
+      return startSession(user, req, res, 'Two-factor authentication enabled', { recoveryCodes });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    user.password = undefined;
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (requires password and a code)
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, authLimiter, validate(schemas.twoFactorDisable), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.role === 'admin') {
+      const settings = await Setting.getSettings();
+
+      if (settings.requireTwoFactorForAdmins) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admin accounts'
+        });
+      }
+    }
+
+    const isPasswordMatch = await user.comparePassword(password);
+    const isCodeValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+
+    if (!isPasswordMatch || !isCodeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
 
     res.status(200).json({
       success: true,
-      message: 'Admin login successful',
-      token,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the old ones)
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, authLimiter, validate(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email', authLimiter, validate(schemas.verifyEmail), async (req, res, next) => {
+  try {
+    const user = await User.verifyEmailToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
       user
     });
   } catch (error) {
@@ -172,6 +488,105 @@ router.post('/admin-login', authLimiter, validate(schemas.login), async (req, re
   }
 });
 
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post('/resend-verification', protect, emailLimiter, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sentAt = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    const retryAfter = Math.ceil((sentAt + VERIFICATION_RESEND_COOLDOWN_MS - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', authLimiter, emailLimiter, validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await mailService.sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ */
+router.post('/reset-password', authLimiter, validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const user = await User.consumePasswordResetToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Whoever had access before the reset loses it
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current logged in user
@@ -197,16 +612,156 @@ router.get('/me', protect, async (req, res, next) => {
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', protect, (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: Date.now(), revokedReason: 'logout' }
+    );
 
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ */
+router.post('/refresh', authLimiter, async (req, res, next) => {
+  try {
+    const presentedToken = req.body.refreshToken || req.cookies.refreshToken;
+    const { session, secret } = await Session.findByRefreshToken(presentedToken);
+
+    if (!session || !session.isValid()) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    // A valid session with a stale secret means an already rotated token was
+    // replayed, so the token may have leaked: kill the session
+    if (!session.matchesSecret(secret)) {
+      await session.revoke('reuse_detected');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please login again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('deactivated');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated'
+      });
+    }
+
+    const refreshToken = await session.rotate();
+    const token = user.generateAuthToken(session._id);
+
+    setAuthCookies(res, { token, refreshToken });
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List devices/sessions the user is signed in with
+ * @access  Private
+ */
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out all other sessions
+ * @access  Private
+ */
+router.delete('/sessions', protect, async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'remote_signout', {
+      except: req.sessionId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out a specific session
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('remote_signout');
+
+    // Signing out the current session is a logout
+    if (session._id.equals(req.sessionId)) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
@@ -235,9 +790,15 @@ router.put('/change-password', protect, validate(schemas.changePassword), async
     user.password = newPassword;
     await user.save();
 
+    // Sign out everywhere, then keep this device signed in with a fresh session
+    await Session.revokeAllForUser(user._id, 'password_change');
+    const { token, refreshToken } = await issueSession(user, req, res);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,245 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import PlaylistFolder, { MAX_FOLDER_DEPTH } from '../models/PlaylistFolder.js';
+import Playlist from '../models/Playlist.js';
+import PlaylistFollow from '../models/PlaylistFollow.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { validate, schemas } from '../utils/validation.js';
+
+const router = express.Router();
+
+// All of a user's folders by id, to walk the tree in memory
+const loadFolders = async (ownerId) => {
+  const folders = await PlaylistFolder.find({ owner: ownerId });
+  return new Map(folders.map(folder => [folder._id.toString(), folder]));
+};
+
+// Number of folders from the top level down to this one (top level = 1)
+const depthOf = (folders, folderId) => {
+  let depth = 0;
+  for (let folder = folders.get(String(folderId)); folder; folder = folders.get(String(folder.parent))) {
+    depth++;
+  }
+  return depth;
+};
+
+// Levels of folders in this folder's subtree, itself included
+const heightOf = (folders, folderId) => {
+  const children = [...folders.values()].filter(folder => String(folder.parent) === String(folderId));
+  return 1 + Math.max(0, ...children.map(child => heightOf(folders, child._id)));
+};
+
+const isWithin = (folders, folderId, ancestorId) => {
+  for (let folder = folders.get(String(folderId)); folder; folder = folders.get(String(folder.parent))) {
+    if (folder._id.toString() === String(ancestorId)) return true;
+  }
+  return false;
+};
+
+/**
+ * @route   POST /api/folders
+ * @desc    Create a playlist folder
+ * @access  Private
+ */
+router.post('/', protect, validate(schemas.createFolder), async (req, res, next) => {
+  try {
+    const { name, parent = null } = req.body;
+
+    if (parent) {
+      const folders = await loadFolders(req.user._id);
+
+      if (!folders.has(parent)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found'
+        });
+      }
+
+      if (depthOf(folders, parent) >= MAX_FOLDER_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const folder = await PlaylistFolder.create({ owner: req.user._id, name, parent });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      folder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/folders/:id
+ * @desc    Rename a folder or move it into another folder (parent null = top level)
+ * @access  Private
+ */
+router.put('/:id', protect, validate(schemas.updateFolder), async (req, res, next) => {
+  try {
+    const folders = await loadFolders(req.user._id);
+    const folder = folders.get(req.params.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const { name, parent } = req.body;
+
+    if (parent) {
+      if (!folders.has(parent)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent folder not found'
+        });
+      }
+
+      if (isWithin(folders, parent, folder._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A folder cannot be moved into itself'
+        });
+      }
+
+      if (depthOf(folders, parent) + heightOf(folders, folder._id) > MAX_FOLDER_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`
+        });
+      }
+    }
+
+    if (name !== undefined) folder.name = name;
+    if (parent !== undefined) folder.parent = parent;
+    await folder.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder updated successfully',
+      folder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/folders/:id
+ * @desc    Delete a folder; its playlists and subfolders move up to its parent
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res, next) => {
+  try {
+    const folder = await PlaylistFolder.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    await PlaylistFolder.updateMany({ owner: req.user._id, parent: folder._id }, { parent: folder.parent });
+
+    // Playlists at the top level are simply those in no folder
+    if (folder.parent && folder.playlists.length > 0) {
+      await PlaylistFolder.updateOne(
+        { _id: folder.parent },
+        { $push: { playlists: { $each: folder.playlists } } }
+      );
+    }
+
+    await folder.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/folders/:id/playlists
+ * @desc    Move a playlist from the library into a folder
+ * @access  Private
+ */
+router.post('/:id/playlists', protect, validate(schemas.placePlaylistInFolder), async (req, res, next) => {
+  try {
+    const { playlistId, index } = req.body;
+    const folder = await PlaylistFolder.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found'
+      });
+    }
+
+    const playlist = await Playlist.findById(playlistId);
+    const isOwner = playlist?.isOwner(req.user._id);
+
+    // Only playlists in the user's library (own or followed) can be filed
+    if (!playlist || (!isOwner && !(await PlaylistFollow.exists({ user: req.user._id, playlist: playlist._id })))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist is not in your library'
+      });
+    }
+
+    await PlaylistFolder.placePlaylist(req.user._id, playlist._id, folder._id, index);
+
+    // Keep the user's playlist list in step with what the folders show
+    if (isOwner) {
+      await User.updateOne({ _id: req.user._id }, { $addToSet: { playlists: playlist._id } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist moved to folder',
+      folder: await PlaylistFolder.findById(folder._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/folders/:id/playlists/:playlistId
+ * @desc    Take a playlist out of a folder, back to the top level
+ * @access  Private
+ */
+router.delete('/:id/playlists/:playlistId', protect, async (req, res, next) => {
+  try {
+    const folder = await PlaylistFolder.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!folder || !mongoose.Types.ObjectId.isValid(req.params.playlistId) ||
+      !folder.playlists.some(id => id.toString() === req.params.playlistId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found in this folder'
+      });
+    }
+
+    await PlaylistFolder.placePlaylist(req.user._id, req.params.playlistId, null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist removed from folder'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
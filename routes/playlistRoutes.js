@@ -1,10 +1,55 @@
 import express from 'express';
-import Playlist from '../models/Playlist.js';
-import { protect } from '../middleware/auth.js';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import Playlist, { DEFAULT_COVER_IMAGE } from '../models/Playlist.js';
+import Track from '../models/Track.js';
+import Setting from '../models/Setting.js';
+import PlaylistFollow from '../models/PlaylistFollow.js';
+import PlaylistRevision from '../models/PlaylistRevision.js';
+import PlaylistFolder from '../models/PlaylistFolder.js';
+import smartPlaylistService from '../services/smartPlaylistService.js';
+import playlistImportService from '../services/playlistImportService.js';
+import playlistCoverService from '../services/playlistCoverService.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
 import { validate, schemas } from '../utils/validation.js';
+import { PLAYLIST_FORMATS, parsePlaylist, detectPlaylistFormat } from '../utils/playlistFormats.js';
 
 const router = express.Router();
 
+// Whether the platform requires a verified email before the user can publish playlists
+const mustVerifyToPublish = async (user) => {
+  if (user.isEmailVerified) {
+    return false;
+  }
+
+  const settings = await Setting.getSettings();
+  return settings.requireVerifiedEmailForPublicPlaylists;
+};
+
+// Imported playlist files are small text files; keep them in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  }
+});
+
+const MAX_IMPORT_ENTRIES = 500;
+
+// Playlist details whose changes show up in its history
+const HISTORY_FIELDS = ['name', 'description', 'coverImage', 'isPublic', 'isCollaborative'];
+
+// Who else has been invited is the owner's business
+const playlistForViewer = (playlist, userId) => {
+  const data = playlist.toJSON();
+  if (!playlist.isOwner(userId)) {
+    delete data.pendingInvites;
+  }
+  return data;
+};
+
 /**
  * @route   GET /api/playlists
  * @desc    Get all playlists (user's own and public)
@@ -18,18 +63,21 @@ router.get('/', protect, async (req, res, next) => {
     const playlists = await Playlist.find({
       $or: [
         { owner: req.user._id },
+        { collaborators: req.user._id },
         { isPublic: true }
       ]
     })
       .sort('-createdAt')
       .limit(limit * 1)
       .skip((page - 1) * limit)
+      .select('-pendingInvites')
       .populate('owner', 'name profilePicture')
       .populate('tracks.track', 'title artist coverImage duration');
 
     const count = await Playlist.countDocuments({
       $or: [
         { owner: req.user._id },
+        { collaborators: req.user._id },
         { isPublic: true }
       ]
     });
@@ -48,19 +96,202 @@ router.get('/', protect, async (req, res, next) => {
 
 /**
  * @route   GET /api/playlists/my
- * @desc    Get user's own playlists
+ * @desc    Get user's own playlists, plus the playlists they follow
  * @access  Private
  */
 router.get('/my', protect, async (req, res, next) => {
   try {
-    const playlists = await Playlist.find({ owner: req.user._id })
-      .sort('-createdAt')
-      .populate('tracks.track', 'title artist coverImage duration');
+    const [playlists, followed] = await Promise.all([
+      Playlist.find({ owner: req.user._id })
+        .sort('-createdAt')
+        .populate('tracks.track', 'title artist coverImage duration'),
+      PlaylistFollow.findFollowedPlaylists(req.user._id)
+    ]);
 
     res.status(200).json({
       success: true,
       count: playlists.length,
-      data: playlists
+      data: playlists,
+      followed
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/playlists/library
+ * @desc    Get the user's library as a folder tree; unfiled playlists are at the top level
+ * @access  Private
+ */
+router.get('/library', protect, async (req, res, next) => {
+  try {
+    const [owned, followed, folders] = await Promise.all([
+      Playlist.find({ owner: req.user._id }).sort('-createdAt'),
+      PlaylistFollow.findFollowedPlaylists(req.user._id),
+      PlaylistFolder.find({ owner: req.user._id }).sort('name')
+    ]);
+
+    const library = new Map();
+    owned.forEach(playlist => library.set(playlist._id.toString(), { playlist, followed: false }));
+    followed.forEach(playlist => library.set(playlist._id.toString(), { playlist, followed: true }));
+
+    const summarize = ({ playlist, followed: isFollowed }) => ({
+      _id: playlist._id,
+      name: playlist.name,
+      coverImage: playlist.coverImage,
+      owner: playlist.owner,
+      isPublic: playlist.isPublic,
+      isSmart: playlist.isSmart(),
+      trackCount: playlist.tracks.length,
+      followed: isFollowed
+    });
+
+    const filed = new Set();
+    const buildFolder = (folder) => ({
+      _id: folder._id,
+      name: folder.name,
+      folders: folders
+        .filter(child => String(child.parent) === folder._id.toString())
+        .map(buildFolder),
+      // Playlists deleted or unfollowed since are skipped
+      playlists: folder.playlists
+        .map(id => library.get(id.toString()))
+        .filter(Boolean)
+        .map(entry => {
+          filed.add(entry.playlist._id.toString());
+          return summarize(entry);
+        })
+    });
+
+    const tree = folders.filter(folder => !folder.parent).map(buildFolder);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        folders: tree,
+        playlists: [...library.values()]
+          .filter(entry => !filed.has(entry.playlist._id.toString()))
+          .map(summarize)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/playlists/shared/:token
+ * @desc    Get a playlist through its share link
+ * @access  Public
+ */
+router.get('/shared/:token', optionalAuth, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findByShareToken(req.params.token);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has expired'
+      });
+    }
+
+    await smartPlaylistService.refreshIfStale(playlist, req.user?._id);
+    await playlist.ensureSnapshotId();
+    await playlist.populate([
+      { path: 'owner', select: 'name profilePicture' },
+      { path: 'collaborators', select: 'name profilePicture' },
+      { path: 'tracks.track' },
+      { path: 'tracks.addedBy', select: 'name profilePicture' }
+    ]);
+
+    // Link holders see the tracks, not the playlist's pending business
+    const { pendingInvites, placeholders, ...shared } = playlist.toJSON();
+
+    res.status(200).json({
+      success: true,
+      access: playlist.shareLink.access,
+      expiresAt: playlist.shareLink.expiresAt,
+      canJoin: playlist.shareLink.access === 'collaborate' && Boolean(req.user) &&
+        !playlist.isOwner(req.user._id) && !playlist.isCollaborator(req.user._id),
+      playlist: shared
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/shared/:token/join
+ * @desc    Become a collaborator through a collaborative share link
+ * @access  Private
+ */
+router.post('/shared/:token/join', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findByShareToken(req.params.token);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has expired'
+      });
+    }
+
+    if (playlist.shareLink.access !== 'collaborate') {
+      return res.status(403).json({
+        success: false,
+        message: 'This share link is read-only'
+      });
+    }
+
+    if (playlist.isOwner(req.user._id) || playlist.isCollaborator(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have access to this playlist'
+      });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      {
+        $addToSet: { collaborators: req.user._id },
+        $pull: { pendingInvites: { user: req.user._id } }
+      },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'You are now a collaborator on this playlist',
+      playlist: playlistForViewer(updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/collaborators/decline
+ * @desc    Decline a pending collaboration invite
+ * @access  Private (invitee)
+ */
+router.post('/:id/collaborators/decline', protect, async (req, res, next) => {
+  try {
+    const result = await Playlist.updateOne(
+      { _id: req.params.id, 'pendingInvites.user': req.user._id },
+      { $pull: { pendingInvites: { user: req.user._id } } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
     });
   } catch (error) {
     next(error);
@@ -74,9 +305,7 @@ router.get('/my', protect, async (req, res, next) => {
  */
 router.get('/:id', protect, async (req, res, next) => {
   try {
-    const playlist = await Playlist.findById(req.params.id)
-      .populate('owner', 'name profilePicture')
-      .populate('tracks.track');
+    const playlist = await Playlist.findById(req.params.id);
 
     if (!playlist) {
       return res.status(404).json({
@@ -85,18 +314,116 @@ router.get('/:id', protect, async (req, res, next) => {
       });
     }
 
-    // Check access
-    if (!playlist.isPublic && playlist.owner._id.toString() !== req.user._id.toString()) {
+    // Invitees may look at a playlist before deciding whether to join it
+    const isInvited = playlist.isInvited(req.user._id);
+    if (!playlist.canView(req.user._id) && !isInvited) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this playlist'
       });
     }
 
+    await smartPlaylistService.refreshIfStale(playlist, req.user?._id);
+    await playlist.ensureSnapshotId();
+    await playlist.populate([
+      { path: 'owner', select: 'name profilePicture' },
+      { path: 'collaborators', select: 'name profilePicture' },
+      { path: 'forkedFrom', select: 'name owner isPublic collaborators' },
+      { path: 'tracks.track' },
+      { path: 'tracks.addedBy', select: 'name profilePicture' },
+      { path: 'placeholders.candidates', select: 'title artist coverImage duration' }
+    ]);
+
+    const isFollowing = await PlaylistFollow.exists({ user: req.user._id, playlist: playlist._id });
+
+    // Only name the original when this user may see it; otherwise just its id
+    const playlistData = playlistForViewer(playlist, req.user._id);
+    const original = playlist.forkedFrom;
+    if (original?.canView) {
+      playlistData.forkedFrom = original.canView(req.user._id)
+        ? { _id: original._id, name: original.name, owner: original.owner, isPublic: original.isPublic }
+        : original._id;
+    }
+
     res.status(200).json({
       success: true,
-      playlist
+      playlist: playlistData,
+      isFollowing: Boolean(isFollowing),
+      isInvited
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/playlists/:id/export
+ * @desc    Download a playlist as M3U8, XSPF or JSPF (?format=)
+ * @access  Private
+ */
+router.get('/:id/export', protect, async (req, res, next) => {
+  try {
+    const format = PLAYLIST_FORMATS[req.query.format || 'm3u8'];
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}`
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Same access rules as GET /api/playlists/:id
+    if (!playlist.canView(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this playlist'
+      });
+    }
+
+    await smartPlaylistService.refreshIfStale(playlist, req.user?._id);
+    await playlist.populate([
+      { path: 'owner', select: 'name' },
+      { path: 'tracks.track', select: 'title artist album durationInSeconds coverImage isPublished' }
+    ]);
+
+    // Stream URLs must be absolute; API_URL overrides the host when behind a proxy
+    const apiUrl = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+    const body = format.render({
+      title: playlist.name,
+      creator: playlist.owner?.name,
+      annotation: playlist.description,
+      image: playlist.coverImage,
+      date: playlist.updatedAt,
+      tracks: playlist.tracks
+        .filter(entry => entry.track && entry.track.isPublished)
+        .map(({ track }) => ({
+          title: track.title,
+          artist: track.artist,
+          album: track.album,
+          durationInSeconds: track.durationInSeconds,
+          location: `${apiUrl}/api/tracks/${track._id}/stream`,
+          identifier: `${apiUrl}/api/tracks/${track._id}`,
+          image: track.coverImage
+        }))
+    });
+
+    const fileName = `${playlist.name.replace(/[^\w\- ]+/g, '').trim() || 'playlist'}.${format.extension}`;
+
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`
     });
+    res.status(200).send(body);
   } catch (error) {
     next(error);
   }
@@ -114,8 +441,32 @@ router.post('/', protect, validate(schemas.createPlaylist), async (req, res, nex
       owner: req.user._id
     };
 
+    // Without a cover of their own, playlists get one generated from their tracks
+    if (req.body.coverImage) {
+      playlistData.coverImageSource = 'custom';
+    } else {
+      delete playlistData.coverImage;
+    }
+
+    // Unverified users can only create private playlists
+    if (await mustVerifyToPublish(req.user)) {
+      if (req.body.isPublic === true) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email before making playlists public'
+        });
+      }
+      playlistData.isPublic = false;
+    }
+
     const playlist = await Playlist.create(playlistData);
 
+    if (playlist.isSmart()) {
+      await smartPlaylistService.refresh(playlist);
+    }
+
+    await PlaylistRevision.record(playlist, req.user, 'created');
+
     // Add to user's playlists
     const User = (await import('../models/User.js')).default;
     await User.findByIdAndUpdate(req.user._id, {
@@ -132,6 +483,153 @@ router.post('/', protect, validate(schemas.createPlaylist), async (req, res, nex
   }
 });
 
+/**
+ * @route   POST /api/playlists/import
+ * @desc    Create a playlist from an M3U/XSPF/JSPF/CSV file, matched against the catalog
+ * @access  Private
+ */
+router.post('/import', protect, uploadLimiter, importUpload.single('file'), validate(schemas.importPlaylist), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a playlist file'
+      });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const format = req.body.format || detectPlaylistFormat(req.file.originalname, content);
+    const parsed = parsePlaylist(content, format);
+
+    if (parsed.tracks.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No tracks found in the playlist file'
+      });
+    }
+
+    if (parsed.tracks.length > MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `Playlists can be imported with up to ${MAX_IMPORT_ENTRIES} tracks`
+      });
+    }
+
+    // Multipart fields arrive as strings
+    let isPublic = req.body.isPublic === undefined ? undefined : String(req.body.isPublic) === 'true';
+
+    // Unverified users can only create private playlists
+    if (await mustVerifyToPublish(req.user)) {
+      if (isPublic === true) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email before making playlists public'
+        });
+      }
+      isPublic = false;
+    }
+
+    const { tracks, placeholders, report } = await playlistImportService.matchEntries(parsed.tracks);
+
+    const playlist = await Playlist.create({
+      name: (req.body.name || parsed.title || req.file.originalname.replace(/\.[^.]+$/, '') || 'Imported playlist').slice(0, 100),
+      description: (req.body.description ?? parsed.annotation ?? '').slice(0, 500),
+      isPublic,
+      owner: req.user._id,
+      tracks: tracks.map(track => ({ track, addedBy: req.user._id })),
+      placeholders
+    });
+
+    await PlaylistRevision.record(playlist, req.user, 'imported', {
+      changes: { total: report.total, matched: report.matched }
+    });
+
+    // Add to user's playlists
+    const User = (await import('../models/User.js')).default;
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { playlists: playlist._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${report.matched} of ${report.total} tracks`,
+      playlist,
+      report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/fork
+ * @desc    Copy a playlist into the user's library
+ * @access  Private
+ */
+router.post('/:id/fork', protect, validate(schemas.forkPlaylist), async (req, res, next) => {
+  try {
+    const original = await Playlist.findById(req.params.id);
+
+    if (!original || !original.canView(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Forks keep the original's visibility unless the body says otherwise
+    let { isPublic = original.isPublic } = req.body;
+
+    // Unverified users can only create private playlists
+    if (await mustVerifyToPublish(req.user)) {
+      if (req.body.isPublic === true) {
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email before making playlists public'
+        });
+      }
+      isPublic = false;
+    }
+
+    // Smart playlists are forked with their rules ("liked" then means liked by the new owner)
+    const smart = original.smart?.toObject();
+    delete smart?.refreshedAt;
+
+    const playlist = await Playlist.create({
+      name: req.body.name || original.name,
+      description: original.description,
+      // Generated covers are generated afresh for the fork
+      ...(original.hasCustomCover() && { coverImage: original.coverImage, coverImageSource: 'custom' }),
+      isPublic,
+      owner: req.user._id,
+      forkedFrom: original._id,
+      smart,
+      tracks: smart ? [] : original.tracks.map(entry => ({ track: entry.track, addedBy: req.user._id }))
+    });
+
+    if (playlist.isSmart()) {
+      await smartPlaylistService.refresh(playlist);
+    }
+
+    await Playlist.updateOne({ _id: original._id }, { $inc: { forks: 1 } });
+    await PlaylistRevision.record(playlist, req.user, 'created', { changes: { forkedFrom: original._id } });
+
+    // Add to user's playlists
+    const User = (await import('../models/User.js')).default;
+    await User.findByIdAndUpdate(req.user._id, {
+      $push: { playlists: playlist._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Playlist forked successfully',
+      playlist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   PUT /api/playlists/:id
  * @desc    Update playlist
@@ -156,12 +654,53 @@ router.put('/:id', protect, validate(schemas.updatePlaylist), async (req, res, n
       });
     }
 
+    if (req.body.isPublic === true && await mustVerifyToPublish(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before making playlists public'
+      });
+    }
+
+    const previous = PlaylistRevision.capture(playlist);
+    const original = playlist.toObject();
+    const update = { ...req.body };
+
+    if (req.body.coverImage === null) {
+      // Back to the generated cover
+      Object.assign(update, { coverImage: DEFAULT_COVER_IMAGE, coverImageSource: 'default', $unset: { coverMosaicKey: 1 } });
+    } else if (req.body.coverImage) {
+      update.coverImageSource = 'custom';
+    }
+
     playlist = await Playlist.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     );
 
+    if (req.body.coverImage === null) {
+      playlistCoverService.queue(playlist._id);
+    }
+
+    // New rules take effect straight away
+    if (req.body.smart) {
+      await smartPlaylistService.refresh(playlist);
+    }
+
+    const changes = {};
+    HISTORY_FIELDS.filter(field => field in req.body).forEach(field => {
+      if (original[field] !== req.body[field]) {
+        changes[field] = { from: original[field], to: req.body[field] };
+      }
+    });
+    if ('smart' in req.body) {
+      changes.smart = req.body.smart;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await PlaylistRevision.record(playlist, req.user, 'details_updated', { changes, previous });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Playlist updated successfully',
@@ -197,6 +736,20 @@ router.delete('/:id', protect, async (req, res, next) => {
     }
 
     await playlist.deleteOne();
+    await PlaylistFollow.deleteMany({ playlist: playlist._id });
+    await PlaylistRevision.deleteMany({ playlist: playlist._id });
+    await PlaylistFolder.removePlaylist(playlist._id);
+
+    if (playlist.coverImagePath) {
+      await playlistCoverService.removeFile(playlist.coverImagePath);
+    }
+
+    if (playlist.forkedFrom) {
+      await Playlist.updateOne(
+        { _id: playlist.forkedFrom, forks: { $gt: 0 } },
+        { $inc: { forks: -1 } }
+      );
+    }
 
     // Remove from user's playlists
     const User = (await import('../models/User.js')).default;
@@ -229,20 +782,35 @@ router.post('/:id/tracks/:trackId', protect, async (req, res, next) => {
       });
     }
 
-    // Check ownership
-    if (playlist.owner.toString() !== req.user._id.toString()) {
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to modify this playlist'
       });
     }
 
-    await playlist.addTrack(req.params.trackId);
+    if (playlist.isSmart()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Smart playlist tracks are managed by its rules'
+      });
+    }
+
+    const previous = PlaylistRevision.capture(playlist);
+    await playlist.addTrack(req.params.trackId, req.user._id);
+
+    if (playlist.tracks.length > previous.tracks.length) {
+      await PlaylistRevision.record(playlist, req.user, 'tracks_added', {
+        changes: { trackIds: [req.params.trackId] },
+        previous
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Track added to playlist',
-      playlist
+      playlist: playlistForViewer(playlist, req.user._id)
     });
   } catch (error) {
     next(error);
@@ -265,20 +833,800 @@ router.delete('/:id/tracks/:trackId', protect, async (req, res, next) => {
       });
     }
 
-    // Check ownership
-    if (playlist.owner.toString() !== req.user._id.toString()) {
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to modify this playlist'
       });
     }
 
+    if (playlist.isSmart()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Smart playlist tracks are managed by its rules'
+      });
+    }
+
+    const previous = PlaylistRevision.capture(playlist);
     await playlist.removeTrack(req.params.trackId);
 
+    if (playlist.tracks.length < previous.tracks.length) {
+      await PlaylistRevision.record(playlist, req.user, 'tracks_removed', {
+        changes: { trackIds: [req.params.trackId] },
+        previous
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Track removed from playlist',
-      playlist
+      playlist: playlistForViewer(playlist, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PATCH /api/playlists/:id/tracks
+ * @desc    Reorder, insert and bulk add/remove tracks against a snapshotId
+ * @access  Private (owner or collaborator)
+ */
+router.patch('/:id/tracks', protect, validate(schemas.updatePlaylistTracks), async (req, res, next) => {
+  try {
+    const { snapshotId, operations } = req.body;
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this playlist'
+      });
+    }
+
+    if (playlist.isSmart()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Smart playlist tracks are managed by its rules'
+      });
+    }
+
+    const previous = PlaylistRevision.capture(playlist);
+    const updated = await playlist.applyTrackOperations(snapshotId, operations, req.user._id);
+
+    await PlaylistRevision.record(updated, req.user, 'tracks_edited', {
+      changes: { operations },
+      previous
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist tracks updated',
+      playlist: playlistForViewer(updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/placeholders/:placeholderId/resolve
+ * @desc    Replace an unmatched imported entry with a catalog track
+ * @access  Private (owner or collaborator)
+ */
+router.post('/:id/placeholders/:placeholderId/resolve', protect, validate(schemas.resolvePlaceholder), async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this playlist'
+      });
+    }
+
+    if (playlist.isSmart()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Smart playlist tracks are managed by its rules'
+      });
+    }
+
+    const placeholderIndex = playlist.placeholders.findIndex(p => p._id.toString() === req.params.placeholderId);
+
+    if (placeholderIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placeholder not found'
+      });
+    }
+
+    const placeholder = playlist.placeholders[placeholderIndex];
+    const previous = PlaylistRevision.capture(playlist);
+
+    // A track already on the playlist is not added again (as in addTrack)
+    const alreadyAdded = playlist.tracks.some(t => t.track.toString() === req.body.trackId);
+
+    const updated = alreadyAdded ? playlist : await playlist.applyTrackOperations(playlist.snapshotId, [{
+      op: 'add',
+      trackIds: [req.body.trackId],
+      index: Math.min(placeholder.position, playlist.tracks.length)
+    }], req.user._id);
+
+    // Later placeholders now sit one track further down, unless nothing was inserted
+    updated.placeholders.splice(placeholderIndex, 1);
+    if (!alreadyAdded) {
+      updated.placeholders.slice(placeholderIndex).forEach(p => {
+        p.position += 1;
+      });
+    }
+    await updated.save();
+
+    if (!alreadyAdded) {
+      await PlaylistRevision.record(updated, req.user, 'tracks_added', {
+        changes: { trackIds: [req.body.trackId], placeholder: placeholder.title },
+        previous
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Placeholder resolved',
+      playlist: playlistForViewer(updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/playlists/:id/placeholders/:placeholderId
+ * @desc    Dismiss an unmatched imported entry
+ * @access  Private (owner or collaborator)
+ */
+router.delete('/:id/placeholders/:placeholderId', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this playlist'
+      });
+    }
+
+    if (!playlist.placeholders.some(p => p._id.toString() === req.params.placeholderId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Placeholder not found'
+      });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      { $pull: { placeholders: { _id: req.params.placeholderId } } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Placeholder removed',
+      playlist: playlistForViewer(updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/playlists/:id/history
+ * @desc    List a playlist's versions, newest first
+ * @access  Private (owner or collaborator)
+ */
+router.get('/:id/history', protect, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id) && !playlist.isCollaborator(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner and collaborators can see playlist history'
+      });
+    }
+
+    const [revisions, count] = await Promise.all([
+      PlaylistRevision.find({ playlist: playlist._id })
+        .sort('-createdAt')
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .populate('user', 'name profilePicture'),
+      PlaylistRevision.countDocuments({ playlist: playlist._id })
+    ]);
+
+    // Track lists can be long; fetch a single version to see them
+    const data = revisions.map(revision => {
+      const { state, ...rest } = revision.toObject();
+      const { tracks, ...details } = state;
+      return { ...rest, state: { ...details, trackCount: tracks.length } };
+    });
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/playlists/:id/history/:revisionId
+ * @desc    Get one version of a playlist with its tracks
+ * @access  Private (owner or collaborator)
+ */
+router.get('/:id/history/:revisionId', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id) && !playlist.isCollaborator(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner and collaborators can see playlist history'
+      });
+    }
+
+    const revision = await PlaylistRevision.findOne({ _id: req.params.revisionId, playlist: playlist._id })
+      .populate('user', 'name profilePicture')
+      .populate('state.tracks.track', 'title artist coverImage duration')
+      .populate('state.tracks.addedBy', 'name profilePicture');
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/history/:revisionId/restore
+ * @desc    Restore a previous version of a playlist
+ * @access  Private (owner or collaborator)
+ */
+router.post('/:id/history/:revisionId/restore', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    // Check ownership or collaboration
+    if (!playlist.canEditTracks(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this playlist'
+      });
+    }
+
+    const revision = await PlaylistRevision.findOne({ _id: req.params.revisionId, playlist: playlist._id });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const previous = PlaylistRevision.capture(playlist);
+
+    // Collaborators may only change tracks, so they restore just the track list
+    if (playlist.isOwner(req.user._id)) {
+      playlist.name = revision.state.name;
+      playlist.description = revision.state.description;
+
+      // Generated covers follow the restored tracks instead
+      if (revision.state.coverImageSource === 'custom') {
+        playlist.coverImage = revision.state.coverImage;
+        playlist.coverImageSource = 'custom';
+      }
+    }
+
+    // Smart playlist tracks come from its rules
+    if (!playlist.isSmart()) {
+      // Tracks deleted from the catalog since cannot come back
+      const trackIds = revision.state.tracks.map(entry => entry.track);
+      const existing = new Set(
+        (await Track.find({ _id: { $in: trackIds } }).select('_id')).map(track => track._id.toString())
+      );
+
+      playlist.tracks = revision.state.tracks
+        .filter(entry => existing.has(entry.track.toString()))
+        .map(entry => entry.toObject());
+    }
+
+    await playlist.save();
+
+    await PlaylistRevision.record(playlist, req.user, 'restored', {
+      changes: { revision: revision._id, versionOf: revision.createdAt },
+      previous
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist restored',
+      playlist: playlistForViewer(playlist, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite links carry a random token; only its hash is stored
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * @route   POST /api/playlists/:id/collaborators
+ * @desc    Invite a user to collaborate
+ * @access  Private (owner)
+ */
+router.post('/:id/collaborators', protect, validate(schemas.inviteCollaborator), async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can invite collaborators'
+      });
+    }
+
+    const User = (await import('../models/User.js')).default;
+    const invitee = await User.findById(userId).select('name');
+
+    if (!invitee) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (playlist.isOwner(userId) || playlist.isCollaborator(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a collaborator'
+      });
+    }
+
+    if (!playlist.pendingInvites.some(invite => invite.user.toString() === userId)) {
+      playlist.pendingInvites.push({ user: userId, invitedBy: req.user._id });
+    }
+    playlist.isCollaborative = true;
+    await playlist.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${invitee.name} has been invited to collaborate`,
+      pendingInvites: playlist.pendingInvites
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/invite-link
+ * @desc    Create (or rotate) a collaborator invite link
+ * @access  Private (owner)
+ */
+router.post('/:id/invite-link', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can create invite links'
+      });
+    }
+
+    const inviteToken = crypto.randomBytes(24).toString('base64url');
+    playlist.inviteTokenHash = hashInviteToken(inviteToken);
+    playlist.isCollaborative = true;
+    await playlist.save();
+
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+    res.status(200).json({
+      success: true,
+      inviteToken,
+      inviteUrl: `${clientUrl}/playlists/${playlist._id}/join?token=${inviteToken}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/playlists/:id/invite-link
+ * @desc    Revoke the collaborator invite link
+ * @access  Private (owner)
+ */
+router.delete('/:id/invite-link', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can revoke invite links'
+      });
+    }
+
+    await Playlist.updateOne({ _id: playlist._id }, { $unset: { inviteTokenHash: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/share-link
+ * @desc    Create (or rotate) the secret share link
+ * @access  Private (owner)
+ */
+router.post('/:id/share-link', protect, validate(schemas.createShareLink), async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can share playlists by link'
+      });
+    }
+
+    const { access = 'read', expiresAt } = req.body;
+
+    // Collaborators can only edit collaborative playlists
+    if (access === 'collaborate') {
+      playlist.isCollaborative = true;
+    }
+
+    const shareToken = await playlist.createShareLink({ access, expiresAt: expiresAt && new Date(expiresAt) });
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+
+    res.status(200).json({
+      success: true,
+      shareToken,
+      shareUrl: `${clientUrl}/shared/${shareToken}`,
+      access: playlist.shareLink.access,
+      expiresAt: playlist.shareLink.expiresAt
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/playlists/:id/share-link
+ * @desc    Revoke the share link
+ * @access  Private (owner)
+ */
+router.delete('/:id/share-link', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can revoke share links'
+      });
+    }
+
+    await Playlist.updateOne({ _id: playlist._id }, { $unset: { shareLink: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/collaborators/accept
+ * @desc    Accept a collaboration invite (pending invite or invite link token)
+ * @access  Private
+ */
+router.post('/:id/collaborators/accept', protect, validate(schemas.acceptInvite), async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id).select('+inviteTokenHash');
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (playlist.isOwner(req.user._id) || playlist.isCollaborator(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have access to this playlist'
+      });
+    }
+
+    const hasPendingInvite = playlist.pendingInvites.some(invite => invite.user.toString() === req.user._id.toString());
+    const hasValidLink = Boolean(req.body.inviteToken) && Boolean(playlist.inviteTokenHash) &&
+      hashInviteToken(req.body.inviteToken) === playlist.inviteTokenHash;
+
+    if (!playlist.isCollaborative || (!hasPendingInvite && !hasValidLink)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      {
+        $addToSet: { collaborators: req.user._id },
+        $pull: { pendingInvites: { user: req.user._id } }
+      },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'You are now a collaborator on this playlist',
+      playlist: playlistForViewer(updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/collaborators/leave
+ * @desc    Stop collaborating on a playlist
+ * @access  Private
+ */
+router.post('/:id/collaborators/leave', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist || !playlist.isCollaborator(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a collaborator on this playlist'
+      });
+    }
+
+    await Playlist.updateOne({ _id: playlist._id }, { $pull: { collaborators: req.user._id } });
+
+    res.status(200).json({
+      success: true,
+      message: 'You left the playlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/playlists/:id/follow
+ * @desc    Follow a playlist
+ * @access  Private
+ */
+router.post('/:id/follow', protect, async (req, res, next) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist || !playlist.canView(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (playlist.isOwner(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow your own playlist'
+      });
+    }
+
+    const followed = await PlaylistFollow.follow(req.user._id, playlist._id);
+    const { followers } = await Playlist.findById(playlist._id).select('followers');
+
+    res.status(followed ? 201 : 200).json({
+      success: true,
+      message: followed ? 'Playlist followed' : 'You already follow this playlist',
+      followers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/playlists/:id/follow
+ * @desc    Unfollow a playlist
+ * @access  Private
+ */
+router.delete('/:id/follow', protect, async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not follow this playlist'
+      });
+    }
+
+    const unfollowed = await PlaylistFollow.unfollow(req.user._id, req.params.id);
+    await PlaylistFolder.removePlaylist(req.params.id, req.user._id);
+
+    if (!unfollowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not follow this playlist'
+      });
+    }
+
+    const playlist = await Playlist.findById(req.params.id).select('followers');
+
+    res.status(200).json({
+      success: true,
+      message: 'Playlist unfollowed',
+      followers: playlist?.followers ?? 0
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/playlists/:id/collaborators/:userId
+ * @desc    Remove a collaborator or cancel a pending invite
+ * @access  Private (owner)
+ */
+router.delete('/:id/collaborators/:userId', protect, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const playlist = await Playlist.findById(req.params.id);
+
+    if (!playlist) {
+      return res.status(404).json({
+        success: false,
+        message: 'Playlist not found'
+      });
+    }
+
+    if (!playlist.isOwner(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the owner can remove collaborators'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    const updated = await Playlist.findByIdAndUpdate(
+      playlist._id,
+      {
+        $pull: {
+          collaborators: userId,
+          pendingInvites: { user: userId }
+        }
+      },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Collaborator removed',
+      playlist: updated
     });
   } catch (error) {
     next(error);
@@ -1,10 +1,40 @@
 import express from 'express';
 import Track from '../models/Track.js';
+import Artist from '../models/Artist.js';
+import Album from '../models/Album.js';
+import ListeningEvent from '../models/ListeningEvent.js';
 import { protect, authorize, optionalAuth } from '../middleware/auth.js';
 import { validate, schemas } from '../utils/validation.js';
+import storage from '../services/storage.js';
 
 const router = express.Router();
 
+// If-Range holds either an ETag or an HTTP date; a Range is only honoured
+// when it still matches the stored file
+const isRangeFresh = (req, file) => {
+  const ifRange = req.headers['if-range'];
+
+  if (!ifRange) {
+    return true;
+  }
+
+  if (ifRange.includes('"')) {
+    return Boolean(file.etag) && !file.etag.startsWith('W/') && ifRange === file.etag;
+  }
+
+  const lastModified = Date.parse(file.lastModified);
+  return !Number.isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+};
+
+// Only signed-in listeners' plays are counted; anonymous streams are not
+const recordStreamPlay = async (track, user) => {
+  if (!user) {
+    return;
+  }
+
+  await ListeningEvent.recordPlay(user._id, track, { source: 'stream' });
+};
+
 /**
  * @route   GET /api/tracks
  * @desc    Get all tracks with filtering, sorting, pagination
@@ -73,7 +103,9 @@ router.get('/', optionalAuth, async (req, res, next) => {
  */
 router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
-    const track = await Track.findById(req.params.id).populate('uploadedBy', 'name email');
+    const track = await Track.findById(req.params.id)
+      .populate('uploadedBy', 'name email')
+      .populate('artists.artist', 'name slug images verified');
 
     if (!track) {
       return res.status(404).json({
@@ -102,6 +134,99 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/tracks/:id/stream
+ * @desc    Stream track audio with HTTP Range support
+ * @access  Public
+ */
+router.get('/:id/stream', optionalAuth, async (req, res, next) => {
+  try {
+    const track = await Track.findById(req.params.id);
+
+    // Unpublished tracks are only streamable by admins
+    if (!track || (!track.isPublished && req.user?.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Track not found'
+      });
+    }
+
+    const filePath = storage.getPathFromUrl(track.audioUrl);
+
+    // Audio hosted outside our storage (e.g. Spotify previews) can't be proxied
+    if (!filePath) {
+      if (req.method === 'GET' && !req.headers.range) {
+        await recordStreamPlay(track, req.user);
+      }
+      return res.redirect(302, track.audioUrl);
+    }
+
+    const file = await storage.getFileInfo(filePath);
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, no-transform'
+    });
+    if (file.etag) res.set('ETag', file.etag);
+    if (file.lastModified) res.set('Last-Modified', file.lastModified);
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let start = 0;
+    let end = file.size - 1;
+    let status = 200;
+
+    if (req.headers.range && isRangeFresh(req, file)) {
+      const ranges = req.range(file.size, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${file.size}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+
+      // Multi-range requests are answered with the full file
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        status = 206;
+        res.set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+      }
+    }
+
+    res.set('Content-Length', String(Math.max(end - start + 1, 0)));
+    res.status(status);
+
+    if (req.method === 'HEAD' || file.size === 0) {
+      return res.end();
+    }
+
+    // Seeks re-request from a later offset and Safari probes with bytes=0-1;
+    // only a real read from the start counts as a play
+    if (start === 0 && end > 1) {
+      recordStreamPlay(track, req.user).catch(error => {
+        console.error('Failed to record play:', error.message);
+      });
+    }
+
+    const stream = await storage.createReadStream(filePath, { start, end });
+
+    stream.on('error', (error) => {
+      console.error('Stream error:', error.message);
+      res.destroy(error);
+    });
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   POST /api/tracks
  * @desc    Create new track
@@ -111,9 +236,21 @@ router.post('/', protect, authorize('admin'), validate(schemas.createTrack), asy
   try {
     const trackData = {
       ...req.body,
+      ...await Artist.creditTrack(req.body),
       uploadedBy: req.user._id
     };
 
+    if (trackData.albumId) {
+      const album = await Album.findById(trackData.albumId).select('title');
+      if (!album) {
+        return res.status(400).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+      trackData.album = album.title;
+    }
+
     // Calculate duration in seconds
     if (trackData.duration) {
       const [minutes, seconds] = trackData.duration.split(':').map(Number);
@@ -154,6 +291,28 @@ router.put('/:id', protect, authorize('admin'), validate(schemas.updateTrack), a
       req.body.durationInSeconds = minutes * 60 + seconds;
     }
 
+    // The album title follows the linked album
+    if (req.body.albumId) {
+      const album = await Album.findById(req.body.albumId).select('title');
+      if (!album) {
+        return res.status(400).json({
+          success: false,
+          message: 'Album not found'
+        });
+      }
+      req.body.album = album.title;
+    } else if (req.body.albumId === null) {
+      req.body.album = 'Single';
+    }
+
+    // Keep the display credit and the artist links in step
+    if (req.body.artist || req.body.artists) {
+      Object.assign(req.body, await Artist.creditTrack({
+        ...req.body,
+        title: req.body.title || track.title
+      }));
+    }
+
     track = await Track.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -1,12 +1,36 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Track from '../models/Track.js';
+import ListeningEvent from '../models/ListeningEvent.js';
+import Playlist from '../models/Playlist.js';
+import PlaylistFollow from '../models/PlaylistFollow.js';
+import Wrapped from '../models/Wrapped.js';
 import { protect } from '../middleware/auth.js';
 import { validate, schemas } from '../utils/validation.js';
+import { sendVerificationEmail } from '../utils/authTokens.js';
 import supabaseStorage from '../services/supabaseStorage.js';
+import listeningStatsService, { STATS_RANGES } from '../services/listeningStatsService.js';
 
 const router = express.Router();
 
+// How far back the new releases feed looks by default
+const NEW_RELEASES_DAYS = 30;
+
+// History cursors encode the position of the last returned event
+const encodeCursor = (event) =>
+  Buffer.from(`${event.playedAt.getTime()}_${event._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const playedAt = new Date(Number(time));
+
+  if (Number.isNaN(playedAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { playedAt, id: new mongoose.Types.ObjectId(id) };
+};
+
 /**
  * @route   GET /api/users/profile
  * @desc    Get user profile
@@ -42,15 +66,25 @@ router.put('/profile', protect, validate(schemas.updateProfile), async (req, res
 
     const updateData = {};
     if (name) updateData.name = name;
-    if (email) updateData.email = email.toLowerCase();
     if (profilePicture) updateData.profilePicture = profilePicture;
 
+    // A new address has to be verified again
+    const emailChanged = Boolean(email) && email.toLowerCase() !== req.user.email;
+    if (emailChanged) {
+      updateData.email = email.toLowerCase();
+      updateData.isEmailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updateData,
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -154,15 +188,120 @@ router.get('/liked-tracks', protect, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/users/followed-playlists
+ * @desc    Get playlists the user follows
+ * @access  Private
+ */
+router.get('/followed-playlists', protect, async (req, res, next) => {
+  try {
+    const playlists = await PlaylistFollow.findFollowedPlaylists(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: playlists.length,
+      data: playlists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/playlist-invites
+ * @desc    Get pending invitations to collaborate on playlists
+ * @access  Private
+ */
+router.get('/playlist-invites', protect, async (req, res, next) => {
+  try {
+    const invites = await Playlist.findInvitesFor(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: invites.length,
+      data: invites
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/followed-artists
+ * @desc    Get artists the user follows, most recently followed first
+ * @access  Private
+ */
+router.get('/followed-artists', protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('followedArtists')
+      .populate('followedArtists', 'name slug images genres verified followers');
+
+    // Artists deleted since are dropped by populate
+    const artists = user.followedArtists.filter(Boolean).reverse();
+
+    res.status(200).json({
+      success: true,
+      count: artists.length,
+      data: artists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/new-releases
+ * @desc    Tracks recently added by artists the user follows
+ * @access  Private
+ */
+router.get('/new-releases', protect, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const days = Math.min(Math.max(Number(req.query.days) || NEW_RELEASES_DAYS, 1), 365);
+
+    const query = {
+      'artists.artist': { $in: req.user.followedArtists },
+      isPublished: true,
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    };
+
+    const tracks = await Track.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('artists.artist', 'name slug')
+      .populate('albumId', 'title type coverImage releaseDate');
+
+    const count = await Track.countDocuments(query);
+
+    const likedTrackIds = new Set(req.user.likedTracks.map(id => id.toString()));
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      days,
+      data: tracks.map(track => ({
+        ...track.toJSON(),
+        liked: likedTrackIds.has(track._id.toString())
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @route   POST /api/users/play-track/:trackId
  * @desc    Increment track play count and update user stats
  * @access  Private
  */
-router.post('/play-track/:trackId', protect, async (req, res, next) => {
+router.post('/play-track/:trackId', protect, validate(schemas.playTrack), async (req, res, next) => {
   try {
     const { trackId } = req.params;
-    const { duration } = req.body; // Duration in seconds
+    const { duration, context, device } = req.body; // Duration in seconds
 
     const track = await Track.findById(trackId);
     if (!track) {
@@ -172,21 +311,265 @@ router.post('/play-track/:trackId', protect, async (req, res, next) => {
       });
     }
 
-    // Increment track plays
-    await track.incrementPlays();
+    // Counts the play and keeps it in the listening history, unless it is
+    // the report of a play already counted when it was streamed
+    const { counted } = await ListeningEvent.recordPlay(req.user._id, track, {
+      secondsListened: duration || 0,
+      context,
+      device
+    });
+
+    res.status(200).json({
+      success: true,
+      message: counted ? 'Play recorded' : 'Play already recorded',
+      plays: track.plays + (counted ? 1 : 0)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Update user listening stats
-    const user = await User.findById(req.user._id);
-    user.listeningStats.totalSongsPlayed += 1;
-    if (duration) {
-      user.listeningStats.totalHoursListened += duration / 3600;
+/**
+ * @route   GET /api/users/history
+ * @desc    Get listening history, newest first (cursor pagination)
+ * @access  Private
+ */
+router.get('/history', protect, async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const query = { user: req.user._id };
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      query.$or = [
+        { playedAt: { $lt: cursor.playedAt } },
+        { playedAt: cursor.playedAt, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    // Fetch one extra event to know whether there is another page
+    const events = await ListeningEvent.find(query)
+      .sort({ playedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('track', 'title artist album coverImage duration category');
+
+    const hasMore = events.length > limit;
+    const data = events.slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      nextCursor: hasMore ? encodeCursor(data[data.length - 1]) : null,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/recently-played
+ * @desc    Get distinct recently played tracks and the playlists they were played from
+ * @access  Private
+ */
+router.get('/recently-played', protect, async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 50);
+
+    // Only the most recent plays matter; bound the work per request
+    const recentPlays = [
+      { $match: { user: req.user._id } },
+      { $sort: { playedAt: -1 } },
+      { $limit: 500 }
+    ];
+
+    const [trackPlays, playlistPlays] = await Promise.all([
+      ListeningEvent.aggregate([
+        ...recentPlays,
+        { $group: { _id: '$track', lastPlayedAt: { $first: '$playedAt' }, playCount: { $sum: 1 } } },
+        { $sort: { lastPlayedAt: -1 } },
+        { $limit: limit }
+      ]),
+      ListeningEvent.aggregate([
+        ...recentPlays,
+        { $match: { 'context.type': 'playlist' } },
+        { $group: { _id: '$context.id', lastPlayedAt: { $first: '$playedAt' } } },
+        { $sort: { lastPlayedAt: -1 } },
+        { $limit: limit }
+      ])
+    ]);
+
+    const playlistIds = playlistPlays
+      .map(play => play._id)
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    const [tracks, playlists, user] = await Promise.all([
+      Track.find({ _id: { $in: trackPlays.map(play => play._id) }, isPublished: true })
+        .populate('uploadedBy', 'name'),
+      Playlist.find({ _id: { $in: playlistIds } })
+        .select('name coverImage owner collaborators isPublic tracks totalDuration')
+        .populate('owner', 'name'),
+      User.findById(req.user._id).select('likedTracks')
+    ]);
+
+    const likedTrackIds = user.likedTracks.map(id => id.toString());
+    const tracksById = new Map(tracks.map(track => [track._id.toString(), track]));
+    const playlistsById = new Map(playlists
+      .filter(playlist => playlist.canView(req.user._id))
+      .map(playlist => [playlist._id.toString(), playlist]));
+
+    // Keep last-played order; tracks/playlists deleted or hidden since are dropped
+    const recentTracks = trackPlays
+      .filter(play => tracksById.has(play._id.toString()))
+      .map(play => {
+        const trackObj = tracksById.get(play._id.toString()).toJSON();
+        trackObj.liked = likedTrackIds.includes(play._id.toString());
+        trackObj.lastPlayedAt = play.lastPlayedAt;
+        trackObj.playCount = play.playCount;
+        return trackObj;
+      });
+
+    const recentPlaylists = playlistPlays
+      .filter(play => playlistsById.has(play._id))
+      .map(play => {
+        const playlist = playlistsById.get(play._id);
+        return {
+          _id: playlist._id,
+          name: playlist.name,
+          coverImage: playlist.coverImage,
+          owner: playlist.owner,
+          trackCount: playlist.tracks.length,
+          totalDuration: playlist.totalDuration,
+          lastPlayedAt: play.lastPlayedAt
+        };
+      });
+
+    res.status(200).json({
+      success: true,
+      tracks: recentTracks,
+      playlists: recentPlaylists
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/users/history
+ * @desc    Clear the whole listening history
+ * @access  Private
+ */
+router.delete('/history', protect, async (req, res, next) => {
+  try {
+    const result = await ListeningEvent.deleteMany({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Listening history cleared',
+      deleted: result.deletedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/users/history/:id
+ * @desc    Delete a single listening history entry
+ * @access  Private
+ */
+router.delete('/history/:id', protect, async (req, res, next) => {
+  try {
+    const event = await ListeningEvent.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'History entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'History entry deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/stats
+ * @desc    Get listening stats computed from play history (?range=7d|30d|all)
+ * @access  Private
+ */
+router.get('/stats', protect, async (req, res, next) => {
+  try {
+    const { range = '30d' } = req.query;
+
+    if (!Object.keys(STATS_RANGES).includes(range)) {
+      return res.status(400).json({
+        success: false,
+        message: `Range must be one of: ${Object.keys(STATS_RANGES).join(', ')}`
+      });
+    }
+
+    const listeningStats = await listeningStatsService.getForUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      range,
+      computedAt: listeningStats.computedAt,
+      totalSongsPlayed: listeningStats.totalSongsPlayed,
+      totalHoursListened: listeningStats.totalHoursListened,
+      favoriteGenre: listeningStats.favoriteGenre,
+      stats: listeningStats.computed[range]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/users/wrapped/:year
+ * @desc    Get the user's precomputed year in review
+ * @access  Private
+ */
+router.get('/wrapped/:year', protect, async (req, res, next) => {
+  try {
+    const year = Number(req.params.year);
+
+    if (!Number.isInteger(year) || year < 2000 || year > new Date().getUTCFullYear()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid year'
+      });
+    }
+
+    const wrapped = await Wrapped.findOne({ user: req.user._id, year });
+
+    if (!wrapped) {
+      return res.status(404).json({
+        success: false,
+        message: `Your ${year} Wrapped is not ready yet`
+      });
     }
-    await user.save();
 
     res.status(200).json({
       success: true,
-      message: 'Play recorded',
-      plays: track.plays
+      wrapped
     });
   } catch (error) {
     next(error);
@@ -11,10 +11,18 @@ import cookieParser from 'cookie-parser';
 import connectDB from './config/database.js';
 import errorHandler from './middleware/errorHandler.js';
 import { limiter } from './middleware/rateLimiter.js';
+import mailService from './services/mailService.js';
 
 // Load environment variables
 dotenv.config();
 
+// Verification and reset links only work if mail can actually be delivered
+const mailProblem = mailService.configurationError();
+if (mailProblem && process.env.NODE_ENV === 'production') {
+  console.error(`❌ ${mailProblem}`);
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
@@ -48,7 +56,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'If-Range'],
+  exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length']
 }));
 
 // Body Parser Middleware
@@ -89,6 +98,9 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import trackRoutes from './routes/trackRoutes.js';
 import playlistRoutes from './routes/playlistRoutes.js';
+import folderRoutes from './routes/folderRoutes.js';
+import artistRoutes from './routes/artistRoutes.js';
+import albumRoutes from './routes/albumRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import spotifyRoutes from './routes/spotifyRoutes.js';
 import spotifyAuthRoutes from './routes/spotifyAuthRoutes.js';
@@ -98,6 +110,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tracks', trackRoutes);
 app.use('/api/playlists', playlistRoutes);
+app.use('/api/folders', folderRoutes);
+app.use('/api/artists', artistRoutes);
+app.use('/api/albums', albumRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/spotify', spotifyRoutes);
 app.use('/api/spotify-auth', spotifyAuthRoutes);
@@ -0,0 +1,200 @@
+import User from '../models/User.js';
+import ListeningEvent from '../models/ListeningEvent.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported stats ranges and how far back they look
+export const STATS_RANGES = {
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS,
+  all: null
+};
+
+// Stats older than this are recomputed when requested
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+const TOP_LIMIT = 5;
+
+class ListeningStatsService {
+  /**
+   * Derive listening stats for a user from their play history
+   * @param {ObjectId} userId - User ID
+   * @param {string} range - One of STATS_RANGES
+   * @returns {Promise<object>} - Stats for the range
+   */
+  async computeForRange(userId, range) {
+    const match = { user: userId };
+    if (STATS_RANGES[range]) {
+      match.playedAt = { $gte: new Date(Date.now() - STATS_RANGES[range]) };
+    }
+
+    const [result] = await ListeningEvent.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'tracks',
+          localField: 'track',
+          foreignField: '_id',
+          as: 'track'
+        }
+      },
+      { $unwind: '$track' },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: null, plays: { $sum: 1 }, seconds: { $sum: '$secondsListened' } } }
+          ],
+          topGenres: [
+            { $group: { _id: '$track.genre', plays: { $sum: 1 } } },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          // Grouped by linked artist profile, not the free-text credit, so
+          // "A feat. B" and renamed artists count towards the right person
+          topArtists: [
+            { $unwind: '$track.artists' },
+            { $match: { 'track.artists.role': 'primary' } },
+            { $group: { _id: '$track.artists.artist', plays: { $sum: 1 } } },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT },
+            { $lookup: { from: 'artists', localField: '_id', foreignField: '_id', as: 'artist' } },
+            { $unwind: '$artist' },
+            { $project: { plays: 1, name: '$artist.name', slug: '$artist.slug' } }
+          ],
+          topTracks: [
+            {
+              $group: {
+                _id: '$track._id',
+                title: { $first: '$track.title' },
+                artist: { $first: '$track.artist' },
+                coverImage: { $first: '$track.coverImage' },
+                plays: { $sum: 1 }
+              }
+            },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          byHour: [
+            { $group: { _id: { $hour: '$playedAt' }, seconds: { $sum: '$secondsListened' } } }
+          ],
+          byDay: [
+            { $group: { _id: { $dayOfWeek: '$playedAt' }, seconds: { $sum: '$secondsListened' } } }
+          ],
+          days: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$playedAt' } } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { plays: 0, seconds: 0 };
+
+    // Minutes listened per hour of day (0-23, UTC) and per weekday (0 = Sunday)
+    const minutesByHour = Array(24).fill(0);
+    result.byHour.forEach(({ _id, seconds }) => {
+      minutesByHour[_id] = Math.round(seconds / 60);
+    });
+
+    const minutesByDay = Array(7).fill(0);
+    result.byDay.forEach(({ _id, seconds }) => {
+      minutesByDay[_id - 1] = Math.round(seconds / 60);
+    });
+
+    return {
+      totalPlays: totals.plays,
+      minutesListened: Math.round(totals.seconds / 60),
+      topGenres: result.topGenres.map(({ _id, plays }) => ({ genre: _id, plays })),
+      topArtists: result.topArtists.map(({ _id, name, slug, plays }) => ({ artist: name, artistId: _id, slug, plays })),
+      topTracks: result.topTracks.map(({ _id, ...track }) => ({ track: _id, ...track })),
+      minutesByHour,
+      minutesByDay,
+      ...this.computeStreaks(result.days.map(day => day._id))
+    };
+  }
+
+  /**
+   * Find current and longest runs of consecutive listening days
+   * @param {string[]} days - Sorted YYYY-MM-DD dates with at least one play
+   * @returns {object} - { currentStreak, longestStreak }
+   */
+  computeStreaks(days) {
+    let longestStreak = 0;
+    let streak = 0;
+    let previous = null;
+
+    days.forEach(day => {
+      const time = Date.parse(day);
+      streak = previous !== null && time - previous === DAY_MS ? streak + 1 : 1;
+      longestStreak = Math.max(longestStreak, streak);
+      previous = time;
+    });
+
+    // The current streak is still alive if the last listening day is today or yesterday
+    const today = Date.parse(new Date().toISOString().slice(0, 10));
+    const currentStreak = previous !== null && today - previous <= DAY_MS ? streak : 0;
+
+    return { currentStreak, longestStreak };
+  }
+
+  /**
+   * Recompute all ranges for a user and store them on the user document
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<object>} - Updated listeningStats
+   */
+  async refreshUser(userId) {
+    const computed = {};
+    for (const range of Object.keys(STATS_RANGES)) {
+      computed[range] = await this.computeForRange(userId, range);
+    }
+
+    // totalHoursListened is a lifetime counter kept by ListeningEvent.recordPlay and
+    // predates event logging, so it is left alone; range minutes live in `computed`
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        'listeningStats.computed': computed,
+        'listeningStats.computedAt': new Date(),
+        'listeningStats.favoriteGenre': computed.all.topGenres[0]?.genre || 'Not set'
+      },
+      { new: true }
+    );
+
+    return user?.listeningStats;
+  }
+
+  /**
+   * Get stored stats, recomputing them first when missing or stale
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<object>} - listeningStats
+   */
+  async getForUser(userId) {
+    const user = await User.findById(userId).select('listeningStats');
+    const computedAt = user.listeningStats.computedAt;
+
+    if (!computedAt || Date.now() - computedAt.getTime() > STALE_AFTER_MS) {
+      return this.refreshUser(userId);
+    }
+
+    return user.listeningStats;
+  }
+
+  /**
+   * Batch job: recompute stats for everyone who listened in the last 30 days
+   * (older listeners' 7d/30d windows are already empty and all-time is unchanged)
+   * @returns {Promise<number>} - Number of users refreshed
+   */
+  async refreshActiveUsers() {
+    const userIds = await ListeningEvent.distinct('user', {
+      playedAt: { $gte: new Date(Date.now() - STATS_RANGES['30d'] - DAY_MS) }
+    });
+
+    for (const userId of userIds) {
+      await this.refreshUser(userId);
+    }
+
+    return userIds.length;
+  }
+}
+
+export default new ListeningStatsService();
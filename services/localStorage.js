@@ -0,0 +1,148 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { v4 as uuidv4 } from 'uuid';
+dotenv.config();
+
+const STORAGE_ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || 'storage');
+const PUBLIC_URL = (process.env.LOCAL_STORAGE_URL || 'http://localhost:5000/storage').replace(/\/$/, '');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Filesystem stand-in for SupabaseStorageService, used in development and tests
+ * when no Supabase project is available. Exposes the same interface.
+ */
+class LocalStorageService {
+  /**
+   * Resolve a storage path to an absolute path inside the storage root
+   * @param {string} filePath - File path in storage
+   * @returns {string} - Absolute path on disk
+   */
+  resolve(filePath) {
+    const absolutePath = path.resolve(STORAGE_ROOT, filePath);
+
+    if (!absolutePath.startsWith(STORAGE_ROOT + path.sep)) {
+      throw new Error('Invalid file path');
+    }
+
+    return absolutePath;
+  }
+
+  /**
+   * Write file to local storage
+   * @param {Buffer} fileBuffer - File buffer
+   * @param {string} fileName - Original file name
+   * @param {string} folder - Folder path (e.g., 'audio', 'images')
+   * @returns {Promise<object>} - Upload result with public URL
+   */
+  async uploadFile(fileBuffer, fileName, folder = 'uploads') {
+    const fileExtension = fileName.split('.').pop();
+    const uniqueFileName = `${folder}/${uuidv4()}.${fileExtension}`;
+    const absolutePath = this.resolve(uniqueFileName);
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, fileBuffer);
+
+    return {
+      success: true,
+      path: uniqueFileName,
+      publicUrl: `${PUBLIC_URL}/${uniqueFileName}`,
+      fileName: uniqueFileName
+    };
+  }
+
+  /**
+   * Delete file from local storage
+   * @param {string} filePath - File path in storage
+   * @returns {Promise<object>} - Delete result
+   */
+  async deleteFile(filePath) {
+    await fs.promises.rm(this.resolve(filePath), { force: true });
+
+    return {
+      success: true,
+      message: 'File deleted successfully'
+    };
+  }
+
+  async uploadAudio(fileBuffer, fileName) {
+    return this.uploadFile(fileBuffer, fileName, 'audio');
+  }
+
+  async uploadImage(fileBuffer, fileName) {
+    return this.uploadFile(fileBuffer, fileName, 'images');
+  }
+
+  /**
+   * Local files are not access-controlled, so the public URL is returned
+   * @param {string} filePath - File path in storage
+   * @returns {Promise<string>} - File URL
+   */
+  async getSignedUrl(filePath) {
+    return `${PUBLIC_URL}/${filePath}`;
+  }
+
+  /**
+   * Resolve the storage path of a file from its public URL
+   * @param {string} url - Public URL returned by uploadFile
+   * @returns {string|null} - File path in storage, or null if the URL is not ours
+   */
+  getPathFromUrl(url) {
+    if (!url || !url.startsWith(`${PUBLIC_URL}/`)) {
+      return null;
+    }
+
+    return decodeURIComponent(url.slice(PUBLIC_URL.length + 1).split('?')[0]);
+  }
+
+  /**
+   * Get size and validators of a stored file
+   * @param {string} filePath - File path in storage
+   * @returns {Promise<object>} - { size, contentType, etag, lastModified }
+   */
+  async getFileInfo(filePath) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.resolve(filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        error.statusCode = 404;
+        error.message = 'File not found in storage';
+      }
+      throw error;
+    }
+
+    const extension = filePath.split('.').pop().toLowerCase();
+
+    return {
+      size: stats.size,
+      contentType: CONTENT_TYPES[extension] || 'application/octet-stream',
+      etag: `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`,
+      lastModified: stats.mtime.toUTCString()
+    };
+  }
+
+  /**
+   * Open a readable stream over a byte range of a stored file
+   * @param {string} filePath - File path in storage
+   * @param {object} range - Inclusive { start, end } byte offsets
+   * @returns {Promise<Readable>} - File content stream
+   */
+  async createReadStream(filePath, { start, end }) {
+    return fs.createReadStream(this.resolve(filePath), { start, end });
+  }
+}
+
+export default new LocalStorageService();
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Development transport: print who a message is for, never its body, since
+// verification and reset emails carry live tokens
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+// Test transport: write each message as JSON into MAIL_OUTBOX_DIR
+const fileTransport = {
+  async send(message) {
+    const outbox = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await fs.promises.mkdir(outbox, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(outbox, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { id };
+  }
+};
+
+// Production transport: deliver through an SMTP relay configured by SMTP_*.
+// The connection is created on first use so dev setups need no SMTP config.
+let smtpClient = null;
+const smtpTransport = {
+  async send(message) {
+    if (!smtpClient) {
+      smtpClient = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpClient.sendMail(message);
+    return { id: info.messageId };
+  }
+};
+
+// Transports that never deliver anything; refused in production
+const DEV_TRANSPORTS = ['console', 'file'];
+
+// Names are chosen by users, so anything interpolated into HTML is escaped
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+class MailService {
+  constructor() {
+    this.transports = {
+      console: consoleTransport,
+      file: fileTransport,
+      smtp: smtpTransport
+    };
+  }
+
+  /**
+   * Register a mail transport (e.g. an SMTP or provider API client)
+   * @param {string} name - Transport name, selected with MAIL_TRANSPORT
+   * @param {object} transport - Object with an async send(message) method
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Describe why mail cannot be delivered with the current configuration
+   * @returns {string|null} - Problem description, or null when mail is usable
+   */
+  configurationError() {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+
+    if (!this.transports[name]) {
+      return `Mail transport '${name}' is not registered`;
+    }
+
+    if (process.env.NODE_ENV === 'production' && DEV_TRANSPORTS.includes(name)) {
+      return `Mail transport '${name}' cannot be used in production; set MAIL_TRANSPORT to a real transport`;
+    }
+
+    if (name === 'smtp' && !process.env.SMTP_HOST) {
+      return 'Mail transport \'smtp\' needs SMTP_HOST';
+    }
+
+    return null;
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {object} message - { to, subject, text, html }
+   * @returns {Promise<object>} - Transport result
+   */
+  async send(message) {
+    const problem = this.configurationError();
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const transport = this.transports[process.env.MAIL_TRANSPORT || 'console'];
+
+    return transport.send({
+      from: process.env.MAIL_FROM || 'SANGEET <no-reply@sangeet.app>',
+      ...message
+    });
+  }
+
+  /**
+   * Send the email address verification link
+   * @param {object} user - Recipient user
+   * @param {string} token - Verification token
+   * @returns {Promise<object>} - Transport result
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your SANGEET email address',
+      text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening <a href="${escapeHtml(link)}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+    });
+  }
+
+  /**
+   * Send the password reset link
+   * @param {object} user - Recipient user
+   * @param {string} token - Reset token
+   * @returns {Promise<object>} - Transport result
+   */
+  async sendPasswordResetEmail(user, token) {
+    const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your SANGEET password',
+      text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Reset your password by opening <a href="${escapeHtml(link)}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+    });
+  }
+}
+
+export default new MailService();
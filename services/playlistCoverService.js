@@ -0,0 +1,193 @@
+import axios from 'axios';
+import sharp from 'sharp';
+import Playlist, { DEFAULT_COVER_IMAGE } from '../models/Playlist.js';
+import storage from './storage.js';
+
+const TILE_SIZE = 320;
+const MOSAIC_TILES = 4;
+
+// Covers tried per update, so dead links can't hold up the queue for long
+const MAX_COVER_ATTEMPTS = 8;
+
+// CDNs track covers come from (seed data and Spotify); COVER_IMAGE_HOSTS overrides
+const DEFAULT_COVER_HOSTS = 'images.unsplash.com,i.scdn.co';
+
+// Covers are only downloaded from our own storage and the listed CDN hosts,
+// so track metadata can't make the server request arbitrary (e.g. internal) URLs
+const isAllowedCoverUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const storageUrl = process.env.STORAGE_DRIVER === 'local'
+    ? process.env.LOCAL_STORAGE_URL || 'http://localhost:5000/storage'
+    : process.env.SUPABASE_URL;
+  if (storageUrl && parsed.origin === new URL(storageUrl).origin) {
+    return true;
+  }
+
+  const cdnHosts = (process.env.COVER_IMAGE_HOSTS || DEFAULT_COVER_HOSTS)
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  return parsed.protocol === 'https:' && cdnHosts.includes(parsed.hostname);
+};
+
+class PlaylistCoverService {
+  constructor() {
+    // Playlists waiting for a cover update, and the ones being updated
+    this.pending = new Set();
+    this.running = new Set();
+  }
+
+  /**
+   * Schedule a cover update without holding up the caller. Repeated calls
+   * while one is pending or running collapse into a single extra update.
+   * @param {ObjectId} playlistId - Playlist ID
+   */
+  queue(playlistId) {
+    const id = playlistId.toString();
+    if (this.pending.has(id)) return;
+
+    this.pending.add(id);
+    setImmediate(() => this.run(id));
+  }
+
+  async run(id) {
+    if (this.running.has(id)) {
+      // Try again once the current update has finished
+      setTimeout(() => this.run(id), 1000);
+      return;
+    }
+
+    this.pending.delete(id);
+    this.running.add(id);
+
+    try {
+      await this.regenerate(id);
+    } catch (error) {
+      console.error(`Failed to update cover of playlist ${id}:`, error.message);
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  /**
+   * Download a cover image, or null if it cannot be fetched
+   * @param {string} url - Image URL
+   * @returns {Promise<Buffer|null>} - Image data
+   */
+  async fetchImage(url) {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 5000,
+        maxContentLength: 10 * 1024 * 1024,
+        // A redirect could lead off the allowed hosts
+        maxRedirects: 0
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error(`Failed to fetch cover ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Compose four images into a 2x2 mosaic
+   * @param {Buffer[]} images - Four images, in reading order
+   * @returns {Promise<Buffer>} - JPEG image
+   */
+  async composeMosaic(images) {
+    const tiles = await Promise.all(images.map(image =>
+      sharp(image).resize(TILE_SIZE, TILE_SIZE, { fit: 'cover' }).toBuffer()
+    ));
+
+    return sharp({
+      create: { width: TILE_SIZE * 2, height: TILE_SIZE * 2, channels: 3, background: '#000000' }
+    })
+      .composite(tiles.map((tile, index) => ({
+        input: tile,
+        left: (index % 2) * TILE_SIZE,
+        top: Math.floor(index / 2) * TILE_SIZE
+      })))
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  }
+
+  /**
+   * Rebuild a playlist's cover from the covers of its first four distinct
+   * tracks. Playlists with a custom cover are left alone; with fewer than
+   * four covers the first one is used as is. Only the first few covers from
+   * allowed hosts are tried.
+   * @param {ObjectId} playlistId - Playlist ID
+   */
+  async regenerate(playlistId) {
+    const playlist = await Playlist.findById(playlistId).populate('tracks.track', 'coverImage');
+    if (!playlist || playlist.hasCustomCover()) return;
+
+    const covers = [...new Set(playlist.tracks
+      .map(entry => entry.track?.coverImage)
+      .filter(cover => cover && isAllowedCoverUrl(cover)))]
+      .slice(0, MAX_COVER_ATTEMPTS);
+
+    // Only the first covers that can be fetched make it into the mosaic
+    const images = [];
+    const used = [];
+    for (const cover of covers) {
+      if (images.length === MOSAIC_TILES) break;
+      const image = await this.fetchImage(cover);
+      if (image) {
+        images.push(image);
+        used.push(cover);
+      }
+    }
+
+    const mosaicKey = used.join('|');
+    if (mosaicKey === (playlist.coverMosaicKey || '')) return;
+
+    let update;
+    let uploadedPath;
+
+    if (images.length === MOSAIC_TILES) {
+      const uploaded = await storage.uploadImage(await this.composeMosaic(images), 'mosaic.jpg');
+      uploadedPath = uploaded.path;
+      update = { coverImage: uploaded.publicUrl, coverImagePath: uploaded.path };
+    } else {
+      update = { coverImage: used[0] || DEFAULT_COVER_IMAGE, $unset: { coverImagePath: 1 } };
+    }
+
+    // Skip the write if the owner set a cover of their own in the meantime
+    const result = await Playlist.updateOne(
+      { _id: playlist._id, coverImage: playlist.coverImage, coverImageSource: { $ne: 'custom' } },
+      { ...update, coverImageSource: used.length > 0 ? 'mosaic' : 'default', coverMosaicKey: mosaicKey }
+    );
+
+    if (result.matchedCount === 0) {
+      if (uploadedPath) await this.removeFile(uploadedPath);
+      return;
+    }
+
+    if (playlist.coverImagePath) {
+      await this.removeFile(playlist.coverImagePath);
+    }
+  }
+
+  /**
+   * Delete a generated cover from storage
+   * @param {string} filePath - File path in storage
+   */
+  async removeFile(filePath) {
+    try {
+      await storage.deleteFile(filePath);
+    } catch (error) {
+      console.error(`Failed to delete cover ${filePath}:`, error.message);
+    }
+  }
+}
+
+export default new PlaylistCoverService();
@@ -0,0 +1,226 @@
+import Track from '../models/Track.js';
+
+// Scores are 0-1; a match needs MATCH_SCORE and a clear lead over the runner-up
+const MATCH_SCORE = 0.85;
+const CANDIDATE_SCORE = 0.6;
+const CLEAR_LEAD = 0.1;
+const MAX_CANDIDATES = 3;
+
+// Text searches run this many at a time
+const SEARCH_CONCURRENCY = 8;
+
+const SPOTIFY_TRACK = /spotify[:/]track[:/]([A-Za-z0-9]{22})/;
+const CATALOG_TRACK = /\/api\/tracks\/([a-f0-9]{24})(?:\/stream)?(?:[?#]|$)/;
+
+// Lowercase, drop accents, "(feat. ...)"/"- Remastered" style suffixes and punctuation
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s[([](feat|ft|with|remaster|live|radio edit)[^)\]]*[)\]]/g, '')
+  .replace(/\s-\s.*(remaster|version|edit|mix).*$/, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const referencesOf = (entry) => {
+  const references = `${entry.identifier || ''} ${entry.location || ''}`;
+
+  return {
+    catalogId: references.match(CATALOG_TRACK)?.[1],
+    spotifyId: references.match(SPOTIFY_TRACK)?.[1]
+  };
+};
+
+// Normalized Levenshtein similarity
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+class PlaylistImportService {
+  /**
+   * Score how well a catalog track fits an imported entry
+   * @param {object} entry - Parsed entry (title, artist, durationInSeconds)
+   * @param {object} track - Catalog track
+   * @returns {number} - 0 (no match) to 1 (identical)
+   */
+  scoreCandidate(entry, track) {
+    const titleScore = similarity(normalize(entry.title), normalize(track.title));
+
+    // Artist lists are often ordered or joined differently ("A, B" vs "A & B")
+    const entryArtist = normalize(entry.artist);
+    const trackArtist = normalize(track.artist);
+    const artistScore = !entryArtist
+      ? 0.5
+      : Math.max(
+        similarity(entryArtist, trackArtist),
+        entryArtist.includes(trackArtist) || trackArtist.includes(entryArtist) ? 0.9 : 0
+      );
+
+    let durationScore = 0.5;
+    if (entry.durationInSeconds && track.durationInSeconds) {
+      const difference = Math.abs(entry.durationInSeconds - track.durationInSeconds);
+      durationScore = difference <= 3 ? 1 : difference <= 15 ? 0.5 : 0;
+    }
+
+    return titleScore * 0.6 + artistScore * 0.3 + durationScore * 0.1;
+  }
+
+  /**
+   * Look up the tracks entries point at by our own track URLs (files exported
+   * from here) or Spotify IDs, in one query per kind
+   * @param {object[]} entries - Parsed entries
+   * @returns {Promise<Array>} - Track or null for each entry
+   */
+  async findReferencedTracks(entries) {
+    const references = entries.map(referencesOf);
+    const catalogIds = [...new Set(references.map(reference => reference.catalogId).filter(Boolean))];
+    const spotifyIds = [...new Set(references.map(reference => reference.spotifyId).filter(Boolean))];
+
+    const [byId, bySpotifyId] = await Promise.all([
+      catalogIds.length > 0 ? Track.find({ _id: { $in: catalogIds }, isPublished: true }) : [],
+      spotifyIds.length > 0 ? Track.find({ spotifyId: { $in: spotifyIds }, isPublished: true }) : []
+    ]);
+
+    const ids = new Map(byId.map(track => [track._id.toString(), track]));
+    const spotify = new Map(bySpotifyId.map(track => [track.spotifyId, track]));
+
+    return references.map(({ catalogId, spotifyId }) =>
+      ids.get(catalogId) || spotify.get(spotifyId) || null);
+  }
+
+  /**
+   * Find the catalog track for an entry by fuzzy title, artist and duration
+   * @param {object} entry - Parsed entry
+   * @returns {Promise<object>} - { status: 'matched'|'ambiguous'|'unmatched', track?, candidates? }
+   */
+  async searchCatalog(entry) {
+    if (!entry.title) {
+      return { status: 'unmatched' };
+    }
+
+    const found = await Track.find(
+      { $text: { $search: `${entry.title} ${entry.artist || ''}` }, isPublished: true },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(20)
+      .select('title artist durationInSeconds');
+
+    const ranked = found
+      .map(track => ({ track, score: this.scoreCandidate(entry, track) }))
+      .filter(candidate => candidate.score >= CANDIDATE_SCORE)
+      .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = ranked;
+
+    if (best && best.score >= MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= CLEAR_LEAD)) {
+      return { status: 'matched', track: best.track };
+    }
+
+    if (best) {
+      return {
+        status: 'ambiguous',
+        candidates: ranked.slice(0, MAX_CANDIDATES).map(candidate => candidate.track)
+      };
+    }
+
+    return { status: 'unmatched' };
+  }
+
+  /**
+   * Match entries against the catalog: referenced tracks in bulk, the rest
+   * by text search a few at a time, with identical entries searched once
+   * @param {object[]} entries - Parsed entries
+   * @returns {Promise<object[]>} - Match result for each entry
+   */
+  async matchAll(entries) {
+    const referenced = await this.findReferencedTracks(entries);
+    const results = referenced.map(track => (track ? { status: 'matched', track } : null));
+
+    const pending = entries.map((entry, index) => index).filter(index => !results[index]);
+    const searches = new Map();
+
+    for (let i = 0; i < pending.length; i += SEARCH_CONCURRENCY) {
+      await Promise.all(pending.slice(i, i + SEARCH_CONCURRENCY).map(async (index) => {
+        const entry = entries[index];
+        const key = [normalize(entry.title), normalize(entry.artist), entry.durationInSeconds || ''].join('|');
+
+        if (!searches.has(key)) {
+          searches.set(key, this.searchCatalog(entry));
+        }
+        results[index] = await searches.get(key);
+      }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Match every entry of a parsed playlist against the catalog
+   * @param {object[]} entries - Parsed entries, in playlist order
+   * @returns {Promise<object>} - { tracks, placeholders, report }
+   */
+  async matchEntries(entries) {
+    const tracks = [];
+    const placeholders = [];
+    const report = { total: entries.length, matched: 0, ambiguous: 0, unmatched: 0, entries: [] };
+    const seen = new Set();
+    const results = await this.matchAll(entries);
+
+    for (const [index, entry] of entries.entries()) {
+      const result = results[index];
+      report[result.status]++;
+
+      if (result.status === 'matched') {
+        // Playlists hold each track once, as in Playlist.addTrack
+        if (!seen.has(result.track._id.toString())) {
+          seen.add(result.track._id.toString());
+          tracks.push(result.track._id);
+        }
+      } else {
+        placeholders.push({
+          title: entry.title,
+          artist: entry.artist,
+          album: entry.album,
+          durationInSeconds: entry.durationInSeconds,
+          location: entry.location,
+          position: tracks.length,
+          status: result.status,
+          candidates: (result.candidates || []).map(track => track._id)
+        });
+      }
+
+      report.entries.push({
+        index,
+        title: entry.title,
+        artist: entry.artist,
+        status: result.status,
+        track: result.track
+          ? { _id: result.track._id, title: result.track.title, artist: result.track.artist }
+          : undefined,
+        candidates: result.candidates?.map(track => ({ _id: track._id, title: track.title, artist: track.artist }))
+      });
+    }
+
+    return { tracks, placeholders, report };
+  }
+}
+
+export default new PlaylistImportService();
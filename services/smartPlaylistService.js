@@ -0,0 +1,142 @@
+import Playlist from '../models/Playlist.js';
+import Track from '../models/Track.js';
+import User from '../models/User.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Smart playlists older than this are re-resolved when read
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text rules match whole values case-insensitively ("house" matches "House")
+const exactly = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+class SmartPlaylistService {
+  /**
+   * Translate one rule into a Track query condition
+   * @param {object} rule - { field, operator, value }, validated by schemas.createPlaylist
+   * @param {ObjectId[]} likedTrackIds - Tracks the playlist owner liked
+   * @returns {object} - MongoDB condition
+   */
+  buildCondition({ field, operator, value }, likedTrackIds) {
+    if (field === 'liked') {
+      return { _id: value ? { $in: likedTrackIds } : { $nin: likedTrackIds } };
+    }
+
+    if (field === 'createdAt') {
+      if (operator === 'inLast') {
+        return { createdAt: { $gte: new Date(Date.now() - value * DAY_MS) } };
+      }
+      return { createdAt: { [operator === 'before' ? '$lt' : '$gt']: new Date(value) } };
+    }
+
+    switch (operator) {
+      case 'is':
+        return { [field]: exactly(value) };
+      case 'isNot':
+        return { [field]: { $not: exactly(value) } };
+      case 'in':
+        return { [field]: { $in: value.map(exactly) } };
+      case 'notIn':
+        return { [field]: { $nin: value.map(exactly) } };
+      case 'contains':
+        return { [field]: new RegExp(escapeRegex(value), 'i') };
+      // Numbers are cast again for rules saved before values were converted
+      case 'eq':
+        return { [field]: Number(value) };
+      default:
+        // gt, gte, lt, lte
+        return { [field]: { [`$${operator}`]: Number(value) } };
+    }
+  }
+
+  /**
+   * Build the Track query for a smart playlist's rules
+   * @param {object} smart - Playlist smart settings
+   * @param {ObjectId} ownerId - Playlist owner, whose likes "liked" rules refer to
+   * @returns {Promise<object>} - MongoDB filter
+   */
+  async buildQuery(smart, ownerId) {
+    let likedTrackIds = [];
+    if (smart.rules.some(rule => rule.field === 'liked')) {
+      const owner = await User.findById(ownerId).select('likedTracks');
+      likedTrackIds = owner?.likedTracks || [];
+    }
+
+    const conditions = smart.rules.map(rule => this.buildCondition(rule, likedTrackIds));
+
+    return {
+      isPublished: true,
+      [smart.match === 'any' ? '$or' : '$and']: conditions
+    };
+  }
+
+  /**
+   * Re-resolve a smart playlist's tracks from its rules and save them
+   * @param {Document} playlist - Smart playlist (owner not populated)
+   * @returns {Promise<Document>} - Updated playlist
+   */
+  async refresh(playlist) {
+    const { smart } = playlist;
+    const query = await this.buildQuery(smart, playlist.owner._id || playlist.owner);
+
+    const tracks = await Track.find(query)
+      .sort({ [smart.sort.field]: smart.sort.order === 'asc' ? 1 : -1, _id: 1 })
+      .limit(smart.limit)
+      .select('_id createdAt');
+
+    const unchanged = tracks.length === playlist.tracks.length &&
+      tracks.every((track, index) => track._id.equals(playlist.tracks[index].track));
+
+    // Only touch the track list when it changed, so the snapshot stays put otherwise
+    if (!unchanged) {
+      playlist.tracks = tracks.map(track => ({ track: track._id, addedAt: track.createdAt }));
+      if (tracks.length === 0) {
+        playlist.totalDuration = '0:00';
+      }
+    }
+
+    playlist.smart.refreshedAt = new Date();
+    await playlist.save();
+
+    return playlist;
+  }
+
+  /**
+   * Refresh a smart playlist if its owner is reading it and it was resolved
+   * too long ago (or never). Other readers get the last resolved tracks, so
+   * reads by followers and share links don't write; the scheduled job keeps
+   * those current.
+   * @param {Document} playlist - Playlist document
+   * @param {ObjectId} [userId] - Reader
+   * @returns {Promise<Document>} - Playlist, refreshed when needed
+   */
+  async refreshIfStale(playlist, userId) {
+    const refreshedAt = playlist.smart?.refreshedAt;
+
+    if (!playlist.isSmart() || !userId || !playlist.isOwner(userId) ||
+      (refreshedAt && Date.now() - refreshedAt.getTime() < STALE_AFTER_MS)) {
+      return playlist;
+    }
+
+    return this.refresh(playlist);
+  }
+
+  /**
+   * Batch job: re-resolve every smart playlist
+   * @returns {Promise<number>} - Number of playlists refreshed
+   */
+  async refreshAll() {
+    let count = 0;
+
+    for await (const playlist of Playlist.find({ smart: { $type: 'object' } })) {
+      await this.refresh(playlist);
+      count++;
+    }
+
+    return count;
+  }
+}
+
+export default new SmartPlaylistService();
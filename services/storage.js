@@ -0,0 +1,7 @@
+import supabaseStorage from './supabaseStorage.js';
+import localStorage from './localStorage.js';
+
+// STORAGE_DRIVER=local serves media from disk instead of Supabase (dev/tests)
+const storage = process.env.STORAGE_DRIVER === 'local' ? localStorage : supabaseStorage;
+
+export default storage;
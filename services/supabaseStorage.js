@@ -1,3 +1,4 @@
+import axios from 'axios';
 import supabase from '../config/supabase.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -131,6 +132,79 @@ class SupabaseStorageService {
       throw error;
     }
   }
+
+  /**
+   * Resolve the storage path of a file from its public URL
+   * @param {string} url - Public URL returned by uploadFile
+   * @returns {string|null} - File path in storage, or null if the URL is not ours
+   */
+  getPathFromUrl(url) {
+    if (!url) {
+      return null;
+    }
+
+    const marker = `/storage/v1/object/public/${BUCKET_NAME}/`;
+    const index = url.indexOf(marker);
+
+    if (index === -1) {
+      return null;
+    }
+
+    return decodeURIComponent(url.slice(index + marker.length).split('?')[0]);
+  }
+
+  /**
+   * Get size and validators of a stored file
+   * @param {string} filePath - File path in storage
+   * @returns {Promise<object>} - { size, contentType, etag, lastModified }
+   */
+  async getFileInfo(filePath) {
+    try {
+      const signedUrl = await this.getSignedUrl(filePath, 60);
+
+      // Ask for the first byte only; Content-Range carries the full size
+      const response = await axios.get(signedUrl, {
+        headers: { Range: 'bytes=0-0' },
+        responseType: 'arraybuffer'
+      });
+
+      const contentRange = response.headers['content-range'];
+      const size = contentRange
+        ? Number(contentRange.split('/')[1])
+        : Number(response.headers['content-length']);
+
+      return {
+        size,
+        contentType: response.headers['content-type'] || 'application/octet-stream',
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified']
+      };
+    } catch (error) {
+      console.error('File info error:', error.message);
+      if (error.response && [400, 404].includes(error.response.status)) {
+        error.statusCode = 404;
+        error.message = 'File not found in storage';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Open a readable stream over a byte range of a stored file
+   * @param {string} filePath - File path in storage
+   * @param {object} range - Inclusive { start, end } byte offsets
+   * @returns {Promise<Readable>} - File content stream
+   */
+  async createReadStream(filePath, { start, end }) {
+    const signedUrl = await this.getSignedUrl(filePath, 3600);
+
+    const response = await axios.get(signedUrl, {
+      headers: { Range: `bytes=${start}-${end}` },
+      responseType: 'stream'
+    });
+
+    return response.data;
+  }
 }
 
 export default new SupabaseStorageService();
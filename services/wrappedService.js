@@ -0,0 +1,194 @@
+import ListeningEvent from '../models/ListeningEvent.js';
+import Wrapped from '../models/Wrapped.js';
+
+const TOP_LIMIT = 5;
+
+const yearBounds = (year) => ({
+  $gte: new Date(Date.UTC(year, 0, 1)),
+  $lt: new Date(Date.UTC(year + 1, 0, 1))
+});
+
+class WrappedService {
+  /**
+   * Build one user's year in review from their play history
+   * @param {ObjectId} userId - User ID
+   * @param {number} year - Calendar year (UTC)
+   * @returns {Promise<object>} - Wrapped fields (without percentile)
+   */
+  async computeForUser(userId, year) {
+    const match = { user: userId, playedAt: yearBounds(year) };
+
+    const [result] = await ListeningEvent.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: 'tracks',
+          localField: 'track',
+          foreignField: '_id',
+          as: 'track'
+        }
+      },
+      { $unwind: '$track' },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                plays: { $sum: 1 },
+                seconds: { $sum: '$secondsListened' },
+                podcastSeconds: {
+                  $sum: { $cond: [{ $eq: ['$track.category', 'podcast'] }, '$secondsListened', 0] }
+                }
+              }
+            }
+          ],
+          topTracks: [
+            { $match: { 'track.category': 'song' } },
+            {
+              $group: {
+                _id: '$track._id',
+                title: { $first: '$track.title' },
+                artist: { $first: '$track.artist' },
+                coverImage: { $first: '$track.coverImage' },
+                plays: { $sum: 1 }
+              }
+            },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          // Grouped by primary linked artist rather than the display credit
+          topArtists: [
+            { $match: { 'track.category': 'song' } },
+            { $unwind: '$track.artists' },
+            { $match: { 'track.artists.role': 'primary' } },
+            { $group: { _id: '$track.artists.artist', plays: { $sum: 1 } } },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT },
+            { $lookup: { from: 'artists', localField: '_id', foreignField: '_id', as: 'artist' } },
+            { $unwind: '$artist' },
+            { $project: { plays: 1, name: '$artist.name', slug: '$artist.slug' } }
+          ],
+          topGenres: [
+            { $match: { 'track.category': 'song' } },
+            { $group: { _id: '$track.genre', plays: { $sum: 1 } } },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: TOP_LIMIT }
+          ],
+          firstSong: [
+            { $match: { 'track.category': 'song' } },
+            { $sort: { playedAt: 1 } },
+            { $limit: 1 },
+            {
+              $project: {
+                _id: 0,
+                track: '$track._id',
+                title: '$track.title',
+                artist: '$track.artist',
+                playedAt: 1
+              }
+            }
+          ],
+          // Busiest day, with the track played most on it
+          mostReplayedDay: [
+            {
+              $group: {
+                _id: {
+                  date: { $dateToString: { format: '%Y-%m-%d', date: '$playedAt' } },
+                  track: '$track._id'
+                },
+                title: { $first: '$track.title' },
+                artist: { $first: '$track.artist' },
+                trackPlays: { $sum: 1 }
+              }
+            },
+            { $sort: { trackPlays: -1 } },
+            {
+              $group: {
+                _id: '$_id.date',
+                plays: { $sum: '$trackPlays' },
+                track: { $first: '$_id.track' },
+                title: { $first: '$title' },
+                artist: { $first: '$artist' },
+                trackPlays: { $first: '$trackPlays' }
+              }
+            },
+            { $sort: { plays: -1, _id: 1 } },
+            { $limit: 1 }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { plays: 0, seconds: 0, podcastSeconds: 0 };
+    const { _id: busiestDate, ...busiestDay } = result.mostReplayedDay[0] || {};
+
+    return {
+      totalPlays: totals.plays,
+      minutesListened: Math.round(totals.seconds / 60),
+      podcastHours: Math.round((totals.podcastSeconds / 3600) * 10) / 10,
+      topTracks: result.topTracks.map(({ _id, ...track }) => ({ track: _id, ...track })),
+      topArtists: result.topArtists.map(({ _id, name, slug, plays }) => ({ artist: name, artistId: _id, slug, plays })),
+      topGenres: result.topGenres.map(({ _id, plays }) => ({ genre: _id, plays })),
+      firstSong: result.firstSong[0],
+      mostReplayedDay: busiestDate ? { date: busiestDate, ...busiestDay } : undefined
+    };
+  }
+
+  /**
+   * Rank everyone's minutes listened for a year and store percentiles
+   * @param {number} year - Calendar year
+   */
+  async assignPercentiles(year) {
+    const summaries = await Wrapped.find({ year })
+      .sort({ minutesListened: 1 })
+      .select('minutesListened');
+
+    const total = summaries.length;
+    const operations = [];
+    let listenedLess = 0;
+
+    summaries.forEach((summary, index) => {
+      // Ties share the rank of the first listener with the same minutes
+      if (index > 0 && summary.minutesListened > summaries[index - 1].minutesListened) {
+        listenedLess = index;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: summary._id },
+          update: { percentile: total > 1 ? Math.floor((listenedLess / (total - 1)) * 100) : 100 }
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await Wrapped.bulkWrite(operations);
+    }
+  }
+
+  /**
+   * Batch job: generate and cache Wrapped for every listener of a year
+   * @param {number} year - Calendar year
+   * @returns {Promise<number>} - Number of users generated
+   */
+  async generateYear(year) {
+    const userIds = await ListeningEvent.distinct('user', { playedAt: yearBounds(year) });
+
+    for (const userId of userIds) {
+      const summary = await this.computeForUser(userId, year);
+
+      await Wrapped.findOneAndUpdate(
+        { user: userId, year },
+        { ...summary, generatedAt: new Date() },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    await this.assignPercentiles(year);
+
+    return userIds.length;
+  }
+}
+
+export default new WrappedService();
@@ -0,0 +1,55 @@
+import Session from '../models/Session.js';
+import mailService from '../services/mailService.js';
+
+const accessTokenMaxAge = () => (Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15) * 60 * 1000;
+const refreshTokenMaxAge = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Set access and refresh token cookies
+export const setAuthCookies = (res, { token, refreshToken }) => {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  };
+
+  res.cookie('token', token, { ...options, maxAge: accessTokenMaxAge() });
+
+  // The refresh token is only ever needed by the auth routes
+  res.cookie('refreshToken', refreshToken, {
+    ...options,
+    path: '/api/auth',
+    maxAge: refreshTokenMaxAge()
+  });
+};
+
+// Clear access and refresh token cookies
+export const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: '/api/auth' });
+};
+
+// Start a new session for the user and send its tokens as cookies
+export const issueSession = async (user, req, res) => {
+  const { session, refreshToken } = await Session.start(user, {
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+  });
+
+  const token = user.generateAuthToken(session._id);
+  setAuthCookies(res, { token, refreshToken });
+
+  return { session, token, refreshToken };
+};
+
+// Issue a fresh verification token and mail it; mail failures are logged so
+// they never block the request that triggered them
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendVerificationEmail(user, verificationToken);
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+  }
+};
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import listeningStatsService from '../services/listeningStatsService.js';
+
+dotenv.config();
+
+// Recompute listening stats for recently active users; run from cron
+const computeListeningStats = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📊 Connected to MongoDB');
+
+    const count = await listeningStatsService.refreshActiveUsers();
+    console.log(`✅ Listening stats refreshed for ${count} users`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Listening stats job failed:', error);
+    process.exit(1);
+  }
+};
+
+computeListeningStats();
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import wrappedService from '../services/wrappedService.js';
+
+dotenv.config();
+
+// Generate Wrapped summaries for a year: `npm run wrapped -- 2025`
+// (defaults to the current year, so it can also run nightly during December)
+const generateWrapped = async () => {
+  try {
+    const year = Number(process.argv[2]) || new Date().getUTCFullYear();
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📊 Connected to MongoDB');
+
+    const count = await wrappedService.generateYear(year);
+    console.log(`✅ Wrapped ${year} generated for ${count} users`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Wrapped generation failed:', error);
+    process.exit(1);
+  }
+};
+
+generateWrapped();
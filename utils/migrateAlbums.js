@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Album from '../models/Album.js';
+import Track from '../models/Track.js';
+
+dotenv.config();
+
+// One-off: create Album records from the album titles on tracks and link
+// the tracks to them. Run after migrate-artists so albums get artist links.
+// Safe to re-run; tracks already on an album are left alone.
+const migrateAlbums = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('💿 Connected to MongoDB');
+
+    const tracks = await Track.find({ albumId: null, album: { $nin: [null, '', 'Single'] } })
+      .select('title artist artists album coverImage genre createdAt');
+
+    const count = await Album.createFromTracks(tracks);
+    console.log(`✅ Created ${count} albums from ${tracks.length} tracks`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Album migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateAlbums();
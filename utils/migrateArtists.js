@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Artist, { slugify } from '../models/Artist.js';
+import Track from '../models/Track.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// One-off: create Artist profiles from the free-text track credits, link
+// tracks to them, turn users' followed artist names into Artist ids and
+// count each artist's followers.
+// Safe to re-run; already linked tracks and ids are left alone.
+const migrateArtists = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🎤 Connected to MongoDB');
+
+    const tracks = await Track.find({ 'artists.0': { $exists: false } }).select('title artist');
+
+    for (const track of tracks) {
+      const artists = await Artist.resolveCredits(track.artist, track.title);
+      await Track.updateOne({ _id: track._id }, { artists });
+    }
+
+    console.log(`✅ Linked ${tracks.length} tracks`);
+
+    // Read raw documents: the schema now casts followedArtists to ObjectIds
+    const users = await User.collection
+      .find({ 'followedArtists.0': { $type: 'string' } })
+      .project({ followedArtists: 1 })
+      .toArray();
+
+    for (const user of users) {
+      const names = user.followedArtists.filter(name => typeof name === 'string' && slugify(name));
+      const ids = user.followedArtists.filter(id => typeof id !== 'string');
+      const artists = await Artist.findOrCreateByNames(names);
+
+      const followed = [...ids, ...artists.map(artist => artist._id)];
+      const unique = [...new Map(followed.map(id => [id.toString(), id])).values()];
+
+      await User.collection.updateOne({ _id: user._id }, { $set: { followedArtists: unique } });
+    }
+
+    console.log(`✅ Migrated followed artists of ${users.length} users`);
+
+    // Recount followers from scratch so re-runs stay correct
+    const counts = await User.aggregate([
+      { $unwind: '$followedArtists' },
+      { $group: { _id: '$followedArtists', followers: { $sum: 1 } } }
+    ]);
+
+    await Artist.updateMany({}, { followers: 0 });
+    if (counts.length > 0) {
+      await Artist.bulkWrite(counts.map(({ _id, followers }) => ({
+        updateOne: { filter: { _id }, update: { followers } }
+      })));
+    }
+
+    console.log(`✅ Counted followers of ${counts.length} artists`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Artist migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateArtists();
@@ -0,0 +1,358 @@
+// Portable playlist formats: M3U8 (extended M3U), XSPF (XML Shareable
+// Playlist Format, https://xspf.org) and JSPF (its JSON rendition), plus CSV
+// for import.
+//
+// Renderers take a plain playlist:
+//   { title, creator, annotation, image, date,
+//     tracks: [{ title, artist, album, durationInSeconds, location, identifier, image }] }
+//
+// Parsers return the same shape, with only the fields the file provided.
+
+const invalidFile = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// M3U directives are line based, so values must stay on one line
+const singleLine = (value) => String(value || '').replace(/[\r\n]+/g, ' ');
+
+const renderM3u8 = (playlist) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(playlist.title)}`];
+
+  playlist.tracks.forEach(track => {
+    lines.push(`#EXTINF:${track.durationInSeconds || -1},${singleLine(track.artist)} - ${singleLine(track.title)}`);
+    if (track.album) {
+      lines.push(`#EXTALB:${singleLine(track.album)}`);
+    }
+    lines.push(track.location);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+const xmlElement = (name, value, indent) => (
+  value === undefined || value === null || value === ''
+    ? []
+    : [`${indent}<${name}>${escapeXml(value)}</${name}>`]
+);
+
+const renderXspf = (playlist) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...xmlElement('title', playlist.title, '  '),
+    ...xmlElement('creator', playlist.creator, '  '),
+    ...xmlElement('annotation', playlist.annotation, '  '),
+    ...xmlElement('image', playlist.image, '  '),
+    ...xmlElement('date', playlist.date?.toISOString(), '  '),
+    '  <trackList>'
+  ];
+
+  playlist.tracks.forEach(track => {
+    lines.push(
+      '    <track>',
+      ...xmlElement('location', track.location, '      '),
+      ...xmlElement('identifier', track.identifier, '      '),
+      ...xmlElement('title', track.title, '      '),
+      ...xmlElement('creator', track.artist, '      '),
+      ...xmlElement('album', track.album, '      '),
+      ...xmlElement('duration', track.durationInSeconds ? track.durationInSeconds * 1000 : null, '      '),
+      ...xmlElement('image', track.image, '      '),
+      '    </track>'
+    );
+  });
+
+  lines.push('  </trackList>', '</playlist>');
+  return lines.join('\n') + '\n';
+};
+
+const renderJspf = (playlist) => JSON.stringify({
+  playlist: {
+    title: playlist.title,
+    creator: playlist.creator,
+    annotation: playlist.annotation || undefined,
+    image: playlist.image,
+    date: playlist.date?.toISOString(),
+    track: playlist.tracks.map(track => ({
+      location: [track.location],
+      identifier: track.identifier ? [track.identifier] : undefined,
+      title: track.title,
+      creator: track.artist,
+      album: track.album || undefined,
+      duration: track.durationInSeconds ? track.durationInSeconds * 1000 : undefined,
+      image: track.image
+    }))
+  }
+}, null, 2);
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8', render: renderM3u8 },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf', render: renderXspf },
+  jspf: { contentType: 'application/json; charset=utf-8', extension: 'jspf', render: renderJspf }
+};
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (value) => {
+  const cdata = value.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) {
+    return cdata[1];
+  }
+
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] ?? entity;
+  }).trim();
+};
+
+// XSPF is flat enough that reading the first matching child element will do
+const xmlChild = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1]) : undefined;
+};
+
+// "3:45", "1:02:03", seconds or (with inMs) milliseconds
+const parseDuration = (value, inMs = false) => {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+
+  if (text.includes(':')) {
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0) || undefined;
+  }
+
+  const number = Number(text);
+  if (!Number.isFinite(number) || number <= 0) return undefined;
+  return Math.round(inMs ? number / 1000 : number);
+};
+
+// Split "Artist - Title" as written by most players
+const splitArtistTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  return separator === -1
+    ? { title: text.trim() }
+    : { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+const safeDecodeUri = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const parseM3u = (content) => {
+  const playlist = { tracks: [] };
+  let pending = {};
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      playlist.title = line.slice(10).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      const info = line.slice(8);
+      const comma = info.indexOf(',');
+      const duration = Number(info.slice(0, comma === -1 ? undefined : comma).split(' ')[0]);
+      pending = {
+        ...splitArtistTitle(comma === -1 ? '' : info.slice(comma + 1)),
+        durationInSeconds: duration > 0 ? Math.round(duration) : undefined
+      };
+    } else if (line.startsWith('#EXTALB:')) {
+      pending.album = line.slice(8).trim();
+    } else if (!line.startsWith('#')) {
+      // Plain M3U has only locations; fall back to the file name
+      if (!pending.title) {
+        const fileName = safeDecodeUri(line.split(/[\\/]/).pop().replace(/\.[^.]+$/, ''));
+        pending = { ...splitArtistTitle(fileName), ...pending };
+      }
+      playlist.tracks.push({ ...pending, location: line });
+      pending = {};
+    }
+  });
+
+  return playlist;
+};
+
+const parseXspf = (content) => {
+  if (!/<playlist[\s>]/.test(content)) {
+    throw invalidFile('Not a valid XSPF playlist');
+  }
+
+  const [header] = content.split(/<trackList[\s>]/);
+  const tracks = [...content.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/g)].map(([, xml]) => ({
+    title: xmlChild(xml, 'title'),
+    artist: xmlChild(xml, 'creator'),
+    album: xmlChild(xml, 'album'),
+    durationInSeconds: parseDuration(xmlChild(xml, 'duration'), true),
+    location: xmlChild(xml, 'location'),
+    identifier: xmlChild(xml, 'identifier')
+  }));
+
+  return {
+    title: xmlChild(header, 'title'),
+    annotation: xmlChild(header, 'annotation'),
+    tracks
+  };
+};
+
+const parseJspf = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw invalidFile('Not a valid JSPF playlist');
+  }
+
+  if (!data?.playlist || (data.playlist.track && !Array.isArray(data.playlist.track))) {
+    throw invalidFile('Not a valid JSPF playlist');
+  }
+
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+  // Any JSON value can appear where the spec wants a string; keep only text
+  const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value) : undefined);
+
+  return {
+    title: text(data.playlist.title),
+    annotation: text(data.playlist.annotation),
+    tracks: data.playlist.track
+      ?.filter(track => track && typeof track === 'object')
+      .map(track => ({
+        title: text(track.title),
+        artist: text(track.creator),
+        album: text(track.album),
+        durationInSeconds: parseDuration(track.duration, true),
+        location: text(first(track.location)),
+        identifier: text(first(track.identifier))
+      })) || []
+  };
+};
+
+// RFC 4180 rows: quoted fields may hold commas, quotes ("") and newlines
+const parseCsvRows = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Accepted CSV headers (lowercased), e.g. Spotify exports from Exportify
+const CSV_COLUMNS = {
+  title: ['title', 'track name', 'track', 'name', 'song'],
+  artist: ['artist', 'artist name(s)', 'artist name', 'artists'],
+  album: ['album', 'album name'],
+  duration: ['duration', 'duration (ms)', 'duration_ms', 'length'],
+  spotify: ['spotify id', 'spotify uri', 'track uri', 'uri'],
+  location: ['location', 'url']
+};
+
+const parseCsv = (content) => {
+  const [header, ...rows] = parseCsvRows(content);
+  const headings = (header || []).map(heading => heading.trim().toLowerCase());
+  const column = (name) => headings.findIndex(heading => CSV_COLUMNS[name].includes(heading));
+
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(name => [name, column(name)]));
+  if (columns.title === -1) {
+    throw invalidFile('CSV needs a title column (e.g. "Title" or "Track Name")');
+  }
+
+  const durationInMs = columns.duration !== -1 && /ms/.test(headings[columns.duration]);
+  const cell = (cells, name) => (columns[name] === -1 ? undefined : cells[columns[name]]?.trim() || undefined);
+
+  return {
+    tracks: rows.map(cells => ({
+      title: cell(cells, 'title'),
+      artist: cell(cells, 'artist'),
+      album: cell(cells, 'album'),
+      durationInSeconds: parseDuration(cell(cells, 'duration'), durationInMs),
+      location: cell(cells, 'location'),
+      identifier: cell(cells, 'spotify')
+    }))
+  };
+};
+
+const PARSERS = {
+  m3u: parseM3u,
+  m3u8: parseM3u,
+  xspf: parseXspf,
+  jspf: parseJspf,
+  json: parseJspf,
+  csv: parseCsv
+};
+
+export const IMPORT_FORMATS = Object.keys(PARSERS);
+
+// Guess the format from the file extension, then from the content
+export const detectPlaylistFormat = (fileName, content) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  if (PARSERS[extension]) return extension;
+
+  const start = content.trimStart();
+  if (start.startsWith('#EXTM3U')) return 'm3u';
+  if (start.startsWith('<')) return 'xspf';
+  if (start.startsWith('{')) return 'jspf';
+  return 'csv';
+};
+
+/**
+ * Parse a playlist file into { title, annotation, tracks }
+ * @param {string} content - File content
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {object} - Parsed playlist; entries without a title or location are dropped
+ */
+export const parsePlaylist = (content, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw invalidFile(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const playlist = parser(content.replace(/^\uFEFF/, ''));
+  playlist.tracks = playlist.tracks.filter(track => track.title || track.location);
+  return playlist;
+};
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import smartPlaylistService from '../services/smartPlaylistService.js';
+
+dotenv.config();
+
+// Re-resolve every smart playlist from its rules; run from cron
+const refreshSmartPlaylists = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🎛️  Connected to MongoDB');
+
+    const count = await smartPlaylistService.refreshAll();
+    console.log(`✅ Refreshed ${count} smart playlists`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Smart playlist job failed:', error);
+    process.exit(1);
+  }
+};
+
+refreshSmartPlaylists();
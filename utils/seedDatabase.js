@@ -2,6 +2,8 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import User from '../models/User.js';
 import Track from '../models/Track.js';
+import Artist from '../models/Artist.js';
+import Album from '../models/Album.js';
 import Playlist from '../models/Playlist.js';
 
 dotenv.config();
@@ -14,6 +16,8 @@ const seedDatabase = async () => {
     // Clear existing data
     await User.deleteMany({});
     await Track.deleteMany({});
+    await Artist.deleteMany({});
+    await Album.deleteMany({});
     await Playlist.deleteMany({});
     console.log('🗑️  Cleared existing data');
 
@@ -178,6 +182,17 @@ const seedDatabase = async () => {
 
     console.log('✅ Created tracks');
 
+    // Link tracks to artist profiles
+    for (const track of tracks) {
+      track.artists = await Artist.resolveCredits(track.artist, track.title);
+      await track.save();
+    }
+
+    console.log('✅ Created artists');
+
+    await Album.createFromTracks(tracks);
+    console.log('✅ Created albums');
+
     // Add liked tracks to users
     users[0].likedTracks = [tracks[0]._id, tracks[2]._id, tracks[4]._id];
     await users[0].save();
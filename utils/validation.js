@@ -1,5 +1,102 @@
 import Joi from 'joi';
 
+const SMART_TEXT_FIELDS = ['title', 'artist', 'album', 'genre'];
+const SMART_NUMBER_FIELDS = ['plays', 'likes', 'durationInSeconds'];
+
+// One smart playlist rule; the allowed operators and value depend on the field
+const smartPlaylistRule = Joi.object({
+  field: Joi.string()
+    .valid(...SMART_TEXT_FIELDS, ...SMART_NUMBER_FIELDS, 'category', 'createdAt', 'liked')
+    .required(),
+  operator: Joi.string().required().when('field', {
+    switch: [
+      { is: Joi.valid(...SMART_TEXT_FIELDS), then: Joi.valid('is', 'isNot', 'in', 'notIn', 'contains') },
+      { is: 'category', then: Joi.valid('is', 'isNot') },
+      { is: Joi.valid(...SMART_NUMBER_FIELDS), then: Joi.valid('eq', 'gt', 'gte', 'lt', 'lte') },
+      { is: 'createdAt', then: Joi.valid('inLast', 'before', 'after') },
+      { is: 'liked', then: Joi.valid('is') }
+    ]
+  }),
+  value: Joi.required().when('field', {
+    switch: [
+      { is: 'category', then: Joi.string().valid('song', 'podcast') },
+      { is: Joi.valid(...SMART_NUMBER_FIELDS), then: Joi.number().min(0) },
+      { is: 'liked', then: Joi.boolean() },
+      {
+        is: 'createdAt',
+        then: Joi.when('operator', {
+          is: 'inLast',
+          then: Joi.number().integer().min(1).max(3650),
+          otherwise: Joi.date().iso()
+        })
+      }
+    ],
+    otherwise: Joi.when('operator', {
+      is: Joi.valid('in', 'notIn'),
+      then: Joi.array().min(1).max(50).items(Joi.string().max(100)),
+      otherwise: Joi.string().max(100)
+    })
+  })
+});
+
+// Linked artists of a track, in credit order
+const trackArtists = Joi.array().min(1).max(20).unique('artist').items(Joi.object({
+  artist: Joi.string().hex().length(24).required(),
+  role: Joi.string().valid('primary', 'featured')
+}));
+
+// Lowercase words of any script joined by hyphens, as produced by slugify
+const artistSlug = Joi.string().lowercase().max(100)
+  .pattern(/^[\p{L}\p{M}\p{N}]+(?:-[\p{L}\p{M}\p{N}]+)*$/u);
+
+const artistImage = Joi.object({
+  url: Joi.string().uri().required(),
+  width: Joi.number().integer().min(1),
+  height: Joi.number().integer().min(1)
+});
+
+// A track in an album payload: existing tracks are referenced by _id,
+// new ones need the fields createTrack requires (artist defaults to the album's)
+const newTrackOnly = (schema) => schema.when('_id', { is: Joi.exist(), otherwise: Joi.required() });
+
+const albumTrack = Joi.object({
+  _id: Joi.string().hex().length(24),
+  title: newTrackOnly(Joi.string().min(1).max(100)),
+  artist: Joi.string().min(1).max(100),
+  artists: trackArtists,
+  duration: Joi.string().pattern(/^\d+:\d{2}$/),
+  category: Joi.string().valid('song', 'podcast'),
+  genre: Joi.string().max(50),
+  coverImage: Joi.string().uri(),
+  audioUrl: newTrackOnly(Joi.string().uri()),
+  isPublished: Joi.boolean(),
+  discNumber: Joi.number().integer().min(1).max(99),
+  trackNumber: Joi.number().integer().min(1).max(999)
+});
+
+const albumFields = {
+  title: Joi.string().min(1).max(100),
+  artist: Joi.string().min(1).max(100),
+  artists: Joi.array().min(1).max(20).unique().items(Joi.string().hex().length(24)),
+  type: Joi.string().valid('album', 'ep', 'single', 'compilation'),
+  releaseDate: Joi.date().iso(),
+  coverImage: Joi.string().uri(),
+  label: Joi.string().max(100).allow(''),
+  genre: Joi.string().max(50),
+  // Full tracklist in order; tracks left out are taken off the album
+  tracks: Joi.array().max(200).unique('_id', { ignoreUndefined: true }).items(albumTrack)
+};
+
+const smartPlaylist = Joi.object({
+  match: Joi.string().valid('all', 'any'),
+  rules: Joi.array().min(1).max(20).items(smartPlaylistRule).required(),
+  sort: Joi.object({
+    field: Joi.string().valid('createdAt', 'plays', 'likes', 'title', 'artist', 'durationInSeconds').required(),
+    order: Joi.string().valid('asc', 'desc')
+  }),
+  limit: Joi.number().integer().min(1).max(500)
+});
+
 // Validation schemas
 export const schemas = {
   // User registration
@@ -15,6 +112,52 @@ export const schemas = {
     password: Joi.string().required()
   }),
 
+  // Verify email
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  // Forgot password
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  // Reset password
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).max(100).required()
+  }),
+
+  // Start 2FA enrolment (challengeToken when enrolment is forced at login)
+  twoFactorSetup: Joi.object({
+    challengeToken: Joi.string()
+  }),
+
+  // Confirm 2FA enrolment
+  twoFactorConfirm: Joi.object({
+    code: Joi.string().required(),
+    challengeToken: Joi.string()
+  }),
+
+  // Second login step
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string(),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  // Disable 2FA
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string(),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  // Regenerate recovery codes
+  twoFactorCode: Joi.object({
+    code: Joi.string().required()
+  }),
+
   // Update profile
   updateProfile: Joi.object({
     name: Joi.string().min(2).max(50),
@@ -31,44 +174,191 @@ export const schemas = {
   // Create track
   createTrack: Joi.object({
     title: Joi.string().min(1).max(100).required(),
-    artist: Joi.string().min(1).max(100).required(),
+    artist: Joi.string().min(1).max(100),
+    artists: trackArtists,
     album: Joi.string().max(100),
     duration: Joi.string().pattern(/^\d+:\d{2}$/),
     category: Joi.string().valid('song', 'podcast').required(),
     genre: Joi.string().max(50),
     coverImage: Joi.string().uri(),
-    audioUrl: Joi.string().uri().required()
-  }),
+    audioUrl: Joi.string().uri().required(),
+    albumId: Joi.string().hex().length(24),
+    discNumber: Joi.number().integer().min(1).max(99),
+    trackNumber: Joi.number().integer().min(1).max(999)
+  }).or('artist', 'artists'),
 
   // Update track
   updateTrack: Joi.object({
     title: Joi.string().min(1).max(100),
     artist: Joi.string().min(1).max(100),
+    artists: trackArtists,
     album: Joi.string().max(100),
     duration: Joi.string().pattern(/^\d+:\d{2}$/),
     category: Joi.string().valid('song', 'podcast'),
     genre: Joi.string().max(50),
     coverImage: Joi.string().uri(),
     audioUrl: Joi.string().uri(),
-    isPublished: Joi.boolean()
+    isPublished: Joi.boolean(),
+    albumId: Joi.string().hex().length(24).allow(null),
+    discNumber: Joi.number().integer().min(1).max(99),
+    trackNumber: Joi.number().integer().min(1).max(999)
   }),
 
+  // Create artist
+  createArtist: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    slug: artistSlug,
+    bio: Joi.string().max(2000).allow(''),
+    images: Joi.array().max(10).items(artistImage),
+    genres: Joi.array().max(20).items(Joi.string().max(50)),
+    verified: Joi.boolean(),
+    spotifyId: Joi.string().max(50)
+  }),
+
+  // Update artist
+  updateArtist: Joi.object({
+    name: Joi.string().min(1).max(100),
+    slug: artistSlug,
+    bio: Joi.string().max(2000).allow(''),
+    images: Joi.array().max(10).items(artistImage),
+    genres: Joi.array().max(20).items(Joi.string().max(50)),
+    verified: Joi.boolean(),
+    spotifyId: Joi.string().max(50)
+  }),
+
+  // Create album, optionally with its tracks
+  createAlbum: Joi.object({
+    ...albumFields,
+    title: albumFields.title.required()
+  }).or('artist', 'artists'),
+
+  // Update album and, when `tracks` is given, its tracklist
+  updateAlbum: Joi.object(albumFields),
+
   // Create playlist
   createPlaylist: Joi.object({
     name: Joi.string().min(1).max(100).required(),
     description: Joi.string().max(500).allow(''),
     coverImage: Joi.string().uri().allow(''),
-    isPublic: Joi.boolean()
+    isPublic: Joi.boolean(),
+    smart: smartPlaylist
   }),
 
   // Update playlist
   updatePlaylist: Joi.object({
     name: Joi.string().min(1).max(100),
     description: Joi.string().max(500),
-    coverImage: Joi.string().uri(),
+    // null goes back to the generated cover
+    coverImage: Joi.string().uri().allow(null),
+    isPublic: Joi.boolean(),
+    isCollaborative: Joi.boolean(),
+    // null turns a smart playlist back into a regular one, keeping its current tracks
+    smart: smartPlaylist.allow(null)
+  }),
+
+  // Batch edit playlist tracks
+  updatePlaylistTracks: Joi.object({
+    snapshotId: Joi.string().required(),
+    operations: Joi.array().min(1).max(50).required().items(Joi.object({
+      op: Joi.string().valid('move', 'add', 'remove').required(),
+      from: Joi.when('op', {
+        is: 'move',
+        then: Joi.number().integer().min(0).required(),
+        otherwise: Joi.forbidden()
+      }),
+      count: Joi.when('op', {
+        is: 'move',
+        then: Joi.number().integer().min(1),
+        otherwise: Joi.forbidden()
+      }),
+      to: Joi.when('op', {
+        is: 'move',
+        then: Joi.number().integer().min(0).required(),
+        otherwise: Joi.forbidden()
+      }),
+      index: Joi.when('op', {
+        is: 'add',
+        then: Joi.number().integer().min(0),
+        otherwise: Joi.forbidden()
+      }),
+      trackIds: Joi.when('op', {
+        is: Joi.valid('add', 'remove'),
+        then: Joi.array().min(1).max(500).items(Joi.string().hex().length(24)).required(),
+        otherwise: Joi.forbidden()
+      })
+    }))
+  }),
+
+  // Fork a playlist
+  forkPlaylist: Joi.object({
+    name: Joi.string().min(1).max(100),
     isPublic: Joi.boolean()
   }),
 
+  // Create a playlist folder
+  createFolder: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    parent: Joi.string().hex().length(24).allow(null)
+  }),
+
+  // Rename or move a playlist folder
+  updateFolder: Joi.object({
+    name: Joi.string().min(1).max(100),
+    parent: Joi.string().hex().length(24).allow(null)
+  }).min(1),
+
+  // Put a playlist in a folder
+  placePlaylistInFolder: Joi.object({
+    playlistId: Joi.string().hex().length(24).required(),
+    index: Joi.number().integer().min(0)
+  }),
+
+  // Import a playlist file (multipart fields)
+  importPlaylist: Joi.object({
+    name: Joi.string().min(1).max(100),
+    description: Joi.string().max(500).allow(''),
+    isPublic: Joi.boolean(),
+    format: Joi.string().valid('m3u', 'm3u8', 'xspf', 'jspf', 'json', 'csv')
+  }),
+
+  // Resolve an imported placeholder to a catalog track
+  resolvePlaceholder: Joi.object({
+    trackId: Joi.string().hex().length(24).required()
+  }),
+
+  // Create or rotate a playlist share link
+  createShareLink: Joi.object({
+    access: Joi.string().valid('read', 'collaborate'),
+    expiresAt: Joi.date().iso().greater('now')
+  }),
+
+  // Invite a playlist collaborator
+  inviteCollaborator: Joi.object({
+    userId: Joi.string().hex().length(24).required()
+  }),
+
+  // Accept a playlist collaboration invite
+  acceptInvite: Joi.object({
+    inviteToken: Joi.string()
+  }),
+
+  // Update platform settings (admin)
+  updateAppSettings: Joi.object({
+    requireVerifiedEmailForPublicPlaylists: Joi.boolean(),
+    requireTwoFactorForAdmins: Joi.boolean()
+  }),
+
+  // Record a play
+  // Older players send other keys; they are ignored rather than rejected
+  playTrack: Joi.object({
+    duration: Joi.number().min(0).max(24 * 60 * 60),
+    context: Joi.object({
+      type: Joi.string().valid('playlist', 'album', 'artist', 'search', 'library', 'recommendation', 'other').required(),
+      id: Joi.string().max(200)
+    }),
+    device: Joi.string().max(100)
+  }).unknown(true),
+
   // Update settings
   updateSettings: Joi.object({
     crossfade: Joi.boolean(),
@@ -86,7 +376,7 @@ export const schemas = {
 // Validation middleware
 export const validate = (schema) => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false });
+    const { error, value } = schema.validate(req.body, { abortEarly: false });
 
     if (error) {
       const errors = error.details.map(detail => ({
@@ -101,6 +391,8 @@ export const validate = (schema) => {
       });
     }
 
+    // Handlers see the converted values, e.g. numbers and dates sent as strings
+    req.body = value;
     next();
   };
 };